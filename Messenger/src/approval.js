@@ -0,0 +1,153 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+
+import { Actor } from 'apify';
+
+import { renderTemplate } from './template.js';
+
+/* ----------------------------- Approval records ---------------------------- */
+
+// Named store, so a later run can find the approval by its token
+export const APPROVAL_STORE = "messenger-approvals";
+
+// Copy of the approval in the run's default store, next to OUTPUT
+export const APPROVAL_KEY = "APPROVAL";
+
+// How long a preview's token can be used to send
+const APPROVAL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function approvalKey(token) {
+  return `approval-${token}`;
+}
+
+// JSON with object keys sorted, so equal inputs always hash the same
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const fields = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableJson(value[key])}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * The resolved attachments (see resolveAttachments) as the approval records
+ * them: [{ ref, name, size, sha256 }], where `sha256` is the hash of the
+ * file's contents, so a file replaced under the same name is a change.
+ */
+export async function attachmentDigests(attachments = []) {
+  const digests = [];
+  for (const { ref, name, size, path } of attachments) {
+    digests.push({ ref, name, size, sha256: sha256(await readFile(path)) });
+  }
+  return digests;
+}
+
+/**
+ * Hash of everything that decides what is sent to whom: the validated
+ * profiles, the message template and the attachment digests.
+ */
+export function inputHash({ profiles, message, attachments = [] }) {
+  return sha256(stableJson({ profiles, message, attachments }));
+}
+
+/**
+ * The message each profile would receive: [{ profileId, url, text, missing }].
+ * Profiles with `missing` placeholders would not be messaged.
+ */
+export function previewMessages(profiles, message) {
+  return profiles.map((profile) => {
+    const { text, missing } = renderTemplate(message, profile);
+    return { profileId: profile.id, url: profile.url, text, missing };
+  });
+}
+
+/**
+ * Phase one of an approved campaign: renders every message and stores them
+ * with a new approval token, in the approvals store and as APPROVAL next to
+ * the run's OUTPUT. `attachments` are the resolved attachments. The token
+ * expires after seven days. Returns the approval record.
+ */
+export async function createApproval({ profiles, message, attachments = [] }) {
+  const digests = await attachmentDigests(attachments);
+  const createdAt = new Date();
+  const record = {
+    token: randomBytes(16).toString("hex"),
+    inputHash: inputHash({ profiles, message, attachments: digests }),
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(createdAt.getTime() + APPROVAL_TTL_MS).toISOString(),
+    runId: Actor.getEnv().actorRunId || "local",
+    message,
+    attachments: digests,
+    previews: previewMessages(profiles, message),
+  };
+
+  const store = await Actor.openKeyValueStore(APPROVAL_STORE);
+  await store.setValue(approvalKey(record.token), record);
+  await Actor.setValue(APPROVAL_KEY, record);
+  return record;
+}
+
+/**
+ * Phase two: checks that `token` was issued by an earlier preview of this
+ * same input, attachment contents included. A token sends once: the first
+ * run to use it claims it, and only that run (resumed after a migration,
+ * say) may use it again. A dry run checks the token without claiming it.
+ * Throws when the token is unknown, expired, claimed by another run or the
+ * input changed since; otherwise stores the approval in the approvals store
+ * and as APPROVAL next to this run's OUTPUT, and returns it.
+ */
+export async function verifyApproval(
+  token,
+  { profiles, message, attachments = [] },
+  { dryRun = false } = {}
+) {
+  const store = await Actor.openKeyValueStore(APPROVAL_STORE);
+  const record = /^[a-f0-9]+$/i.test(token)
+    ? await store.getValue(approvalKey(token))
+    : null;
+  if (!record) {
+    throw new Error(`❌ approval token "${token}" is unknown`);
+  }
+
+  const runId = Actor.getEnv().actorRunId || "local";
+  if (record.approvedRunId && record.approvedRunId !== runId) {
+    throw new Error(
+      `❌ approval token "${token}" was already used by run ${record.approvedRunId}; run the preview again and have it approved`
+    );
+  }
+  if (!record.expiresAt || Date.parse(record.expiresAt) <= Date.now()) {
+    throw new Error(
+      `❌ approval token "${token}" has expired; run the preview again and have it approved`
+    );
+  }
+  const digests = await attachmentDigests(attachments);
+  if (
+    record.inputHash !== inputHash({ profiles, message, attachments: digests })
+  ) {
+    throw new Error(
+      `❌ the input changed since approval token "${token}" was issued; run the preview again and have it approved`
+    );
+  }
+
+  if (dryRun) {
+    await Actor.setValue(APPROVAL_KEY, record);
+    return record;
+  }
+
+  const approval = {
+    ...record,
+    approvedRunId: runId,
+    usedAt: record.usedAt || new Date().toISOString(),
+  };
+  await store.setValue(approvalKey(token), approval);
+  await Actor.setValue(APPROVAL_KEY, approval);
+  return approval;
+}
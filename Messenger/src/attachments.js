@@ -0,0 +1,299 @@
+import { rmSync } from 'node:fs';
+import { mkdtemp, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { basename, extname, join } from 'node:path';
+
+import { Actor } from 'apify';
+
+import { ERROR_CODES, MessengerError } from './errors.js';
+import { delay } from './utils.js';
+
+/* ---------------------------- Attachment files ---------------------------- */
+
+// Messenger refuses larger files
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// File extensions for key-value store records whose key has none
+const EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+  "text/plain": ".txt",
+  "text/csv": ".csv",
+  "application/json": ".json",
+  "video/mp4": ".mp4",
+};
+
+async function fileSize(path) {
+  try {
+    const info = await stat(path);
+    return info.isFile() ? info.size : null;
+  } catch {
+    return null;
+  }
+}
+
+// Record keys cannot contain slashes, so a path is never mistaken for one.
+// The storage client's record keeps the content type getValue drops
+async function readRecord(key) {
+  try {
+    const store = await Actor.openKeyValueStore();
+    return await store.client.getRecord(key);
+  } catch {
+    return null;
+  }
+}
+
+// Writes a key-value store record to a temporary file the browser can upload
+async function recordToFile(record, dir) {
+  const type = (record.contentType || "").split(";")[0].trim();
+  const name = extname(record.key)
+    ? record.key
+    : `${record.key}${EXTENSIONS[type] || ""}`;
+
+  let data = record.value;
+  if (!Buffer.isBuffer(data) && typeof data !== "string") {
+    data = JSON.stringify(data);
+  }
+  const path = join(dir, name);
+  await writeFile(path, data);
+  return { name, path, size: Buffer.byteLength(data) };
+}
+
+// Temporary directory for the records' files, removed when the process exits
+async function tempDir() {
+  const dir = await mkdtemp(join(tmpdir(), "messenger-attachments-"));
+  process.once("exit", () => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+/**
+ * Resolves the `attachments` input. Each entry is a local file path or the
+ * key of a record in the default key-value store; records are written to
+ * temporary files so the browser can upload them, and the files are removed
+ * when the run ends. Returns [{ ref, name, source, path, size }] in input
+ * order. Throws when an entry cannot be found or is too large to send.
+ */
+export async function resolveAttachments(refs = []) {
+  const attachments = [];
+  let dir = null;
+
+  for (const ref of refs) {
+    const size = await fileSize(ref);
+    if (size !== null) {
+      attachments.push({
+        ref,
+        name: basename(ref),
+        source: "file",
+        path: ref,
+        size,
+      });
+    } else {
+      const record = await readRecord(ref);
+      if (!record) {
+        throw new Error(
+          `❌ attachment "${ref}" is neither a local file nor a key-value store record`
+        );
+      }
+      dir = dir || (await tempDir());
+      const file = await recordToFile(record, dir);
+      attachments.push({ ref, source: "key-value store", ...file });
+    }
+
+    const last = attachments[attachments.length - 1];
+    if (last.size > MAX_ATTACHMENT_BYTES) {
+      throw new Error(
+        `❌ attachment "${ref}" is ${last.size} bytes, over Messenger's 25 MB limit`
+      );
+    }
+  }
+  return attachments;
+}
+
+/**
+ * Per-attachment entry for the dataset record: which of the attachments
+ * reached the conversation. `delivered` holds the names that did.
+ */
+export function attachmentStatus(attachments, delivered = []) {
+  return attachments.map(({ name, ref, source }) => ({
+    name,
+    ref,
+    source,
+    delivered: delivered.includes(name),
+  }));
+}
+
+/* ----------------------------- Uploading files ---------------------------- */
+
+const UPLOAD_TIMEOUT_MS = 60000;
+
+// The chat composer's hidden file picker; the newest chat is last in the DOM
+export async function findFileInput(page) {
+  const inputs = await page.$$('input[type="file"]');
+  if (inputs.length === 0) {
+    throw new MessengerError(
+      ERROR_CODES.ATTACHMENT_FAILED,
+      "Composer has no file upload field for attachments"
+    );
+  }
+  return inputs[inputs.length - 1];
+}
+
+// Upload previews in the composer, and how many are still uploading
+async function readPreviews(page) {
+  return page.evaluate(() => {
+    const previews = Array.from(
+      document.querySelectorAll('[aria-label="Remove attachment"]')
+    ).map((button) => button.parentElement);
+    return {
+      count: previews.length,
+      uploading: previews.filter((el) =>
+        el.querySelector('[role="progressbar"]')
+      ).length,
+    };
+  });
+}
+
+/**
+ * Adds the files to the open conversation's composer and waits until
+ * Messenger shows a finished preview for each. Throws ATTACHMENT_FAILED when
+ * there is nowhere to upload them or the uploads do not finish in time.
+ */
+export async function uploadAttachments(page, attachments, logger) {
+  const input = await findFileInput(page);
+  const { count: before } = await readPreviews(page);
+
+  logger.info("Uploading attachments", {
+    step: "attachments",
+    attachments: attachments.map((a) => a.name),
+  });
+  await input.uploadFile(...attachments.map((a) => a.path));
+
+  const deadline = Date.now() + UPLOAD_TIMEOUT_MS;
+  let previews = null;
+  while (Date.now() < deadline) {
+    await delay(500);
+    previews = await readPreviews(page);
+    if (previews.count - before >= attachments.length && !previews.uploading) {
+      logger.info("Attachments uploaded", { step: "attachments" });
+      return;
+    }
+  }
+  throw new MessengerError(
+    ERROR_CODES.ATTACHMENT_FAILED,
+    `Attachment upload did not finish (${previews.count - before}/${attachments.length} previews, ${previews.uploading} still uploading)`
+  );
+}
+
+/* -------------------------- Delivered attachments ------------------------- */
+
+const ATTACHMENT_DELIVERY_TIMEOUT_MS = 15000;
+
+// Images shown without a file name; Messenger may rename them on upload
+const IMAGE_EXTENSIONS = new Set([".png", ".jpg", ".jpeg", ".gif", ".webp"]);
+
+// The images and files we sent in the conversation, oldest first: { label,
+// image }. Only rows of our own messages count, and only their attachment
+// containers; links and images inside the text bubble, link previews to
+// other sites and read-receipt avatars are left out
+async function readConversationAttachments(page) {
+  return page.evaluate(() => {
+    const ours = Array.from(document.querySelectorAll('[role="row"]')).filter(
+      (row) => {
+        const heading = row.querySelector("h4, h5");
+        return (
+          !!heading &&
+          /^you\s+(sent|replied|wrote)\b/i.test(heading.innerText.trim())
+        );
+      }
+    );
+    const external = (el) => {
+      const link = el.closest("a[href]");
+      return !!link && new URL(link.href).host !== window.location.host;
+    };
+    const labelOf = (el) =>
+      [
+        el.getAttribute("alt"),
+        el.getAttribute("title"),
+        el.getAttribute("aria-label"),
+        el.getAttribute("download"),
+        el.tagName === "A" ? el.innerText : "",
+      ]
+        .filter(Boolean)
+        .join(" ");
+
+    return ours.flatMap((row) =>
+      Array.from(row.querySelectorAll("img, a[href]"))
+        .filter((el) => !el.closest('[dir="auto"]') && !external(el))
+        // A photo wrapped in a link is one attachment: the link
+        .filter((el) => el.tagName === "A" || !el.closest("a[href]"))
+        .map((el) => {
+          const img = el.tagName === "IMG" ? el : el.querySelector("img");
+          const label = [labelOf(el), img && img !== el ? labelOf(img) : ""]
+            .filter(Boolean)
+            .join(" ");
+          return { label, image: !!img };
+        })
+        .filter(({ label }) => !/^seen\b/i.test(label))
+    );
+  });
+}
+
+/**
+ * Snapshot of the conversation's attachments, taken before sending so
+ * confirmAttachments can tell the new ones apart.
+ */
+export async function conversationAttachments(page) {
+  return (await readConversationAttachments(page)).length;
+}
+
+/**
+ * Which attachments the new conversation entries `added` ({ label, image })
+ * show. Entries are matched by file name first; Messenger shows photos
+ * without one, so image attachments left over are matched in order to the
+ * unnamed new images. Returns the names of the delivered attachments.
+ */
+export function matchDelivered(attachments, added) {
+  const unmatched = [...added];
+  const delivered = new Set();
+
+  for (const { name } of attachments) {
+    const i = unmatched.findIndex(({ label }) => label.includes(name));
+    if (i !== -1) {
+      delivered.add(name);
+      unmatched.splice(i, 1);
+    }
+  }
+  for (const { name } of attachments) {
+    if (delivered.has(name)) continue;
+    if (!IMAGE_EXTENSIONS.has(extname(name).toLowerCase())) continue;
+    const i = unmatched.findIndex(({ image }) => image);
+    if (i !== -1) {
+      delivered.add(name);
+      unmatched.splice(i, 1);
+    }
+  }
+  return attachments.map((a) => a.name).filter((name) => delivered.has(name));
+}
+
+/**
+ * Waits for the sent attachments to show up in the conversation. `before` is
+ * the count from conversationAttachments. Returns the names of the
+ * attachments that arrived.
+ */
+export async function confirmAttachments(page, attachments, before) {
+  const deadline = Date.now() + ATTACHMENT_DELIVERY_TIMEOUT_MS;
+  let delivered = [];
+
+  while (Date.now() < deadline) {
+    const added = (await readConversationAttachments(page)).slice(before);
+    delivered = matchDelivered(attachments, added);
+    if (delivered.length === attachments.length) break;
+    await delay(500);
+  }
+  return delivered;
+}
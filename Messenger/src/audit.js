@@ -0,0 +1,170 @@
+import { createHash } from 'node:crypto';
+
+import { Actor } from 'apify';
+
+import { ERROR_CODES, errorFields } from './errors.js';
+import { hashMessage } from './ledger.js';
+
+/* -------------------------------- Audit log ------------------------------- */
+
+// Named dataset, so the trail persists across runs. Records are only ever
+// appended, never updated or removed
+export const AUDIT_DATASET = "messenger-audit";
+
+// Column order of the CSV export
+const AUDIT_FIELDS = [
+  "startedAt",
+  "finishedAt",
+  "runId",
+  "operator",
+  "accountHash",
+  "profileId",
+  "url",
+  "threadUrl",
+  "textHash",
+  "attachments",
+  "outcome",
+  "messageSent",
+  "deliveryStatus",
+  "errorCode",
+  "error",
+];
+
+// The login account is kept only as a hash of its normalized email
+function accountHash(email = "") {
+  return createHash("sha256").update(email.trim().toLowerCase()).digest("hex");
+}
+
+// "sent" when delivery was confirmed, "failed" when nothing went out,
+// "unconfirmed" when the message may have gone out without confirmation, and
+// "unknown" when a restart interrupted the send
+function outcomeOf(result) {
+  if (result.success) return "sent";
+  if (result.errorCode === ERROR_CODES.INTERRUPTED) return "unknown";
+  return result.messageSent === "Yes" ? "unconfirmed" : "failed";
+}
+
+/**
+ * Appends one send attempt to the audit log. `attempt` is { profile, text,
+ * startedAt } and `result` the send's result; pass `error` instead when the
+ * attempt threw. `campaign` gives the credentials, attachments and operator.
+ */
+export async function recordAttempt(campaign, attempt, { result, error }) {
+  const { profile, text, startedAt } = attempt;
+  const outcome = result || {
+    success: false,
+    messageSent: "No",
+    ...errorFields(error),
+  };
+
+  const delivered = new Map(
+    (outcome.attachments || []).map((a) => [a.ref, a.delivered])
+  );
+  const dataset = await Actor.openDataset(AUDIT_DATASET);
+  await dataset.pushData({
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    runId: Actor.getEnv().actorRunId || "local",
+    operator: campaign.operator || null,
+    accountHash: accountHash(campaign.credentials.email),
+    profileId: profile.id,
+    url: profile.url,
+    threadUrl: outcome.threadUrl || profile.threadUrl || null,
+    textHash: hashMessage(text),
+    attachments: (campaign.attachments || []).map(({ ref, name, size }) => ({
+      ref,
+      name,
+      size,
+      delivered: delivered.get(ref) ?? false,
+    })),
+    outcome: outcomeOf(outcome),
+    messageSent: outcome.messageSent,
+    deliveryStatus: outcome.deliveryStatus || null,
+    errorCode: outcome.errorCode || null,
+    error: outcome.error || null,
+  });
+}
+
+/* --------------------------------- Export --------------------------------- */
+
+export const EXPORT_FORMATS = ["jsonl", "csv"];
+
+// Record key of the export in the run's default key-value store
+export const AUDIT_EXPORT_KEY = "AUDIT_EXPORT";
+
+const CONTENT_TYPES = {
+  jsonl: "application/x-ndjson; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+};
+
+// ISO time or YYYY-MM-DD; a date alone as the end of the range includes the
+// whole day
+function rangeBound(value, name, endOfDay) {
+  if (!value) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(time)) {
+    throw new Error(`❌ ${name} must be a date (YYYY-MM-DD) or an ISO time`);
+  }
+  return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Spreadsheets run a cell starting with one of these as a formula, so such
+// cells get a leading ' and open as the text they hold
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The audit records whose attempt started between `from` and `to`
+ * (inclusive, either may be left out), oldest first.
+ */
+export async function listAttempts({ from, to } = {}) {
+  const start = rangeBound(from, "auditFrom", false);
+  const end = rangeBound(to, "auditTo", true);
+
+  const dataset = await Actor.openDataset(AUDIT_DATASET);
+  const records = [];
+  await dataset.forEach(async (record) => {
+    const time = Date.parse(record.startedAt);
+    if (start !== null && time < start) return;
+    if (end !== null && time > end) return;
+    records.push(record);
+  });
+  return records.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+/**
+ * Renders audit records as JSON Lines or CSV.
+ */
+export function formatAttempts(records, format) {
+  if (format === "csv") {
+    const rows = records.map((record) =>
+      AUDIT_FIELDS.map((field) => csvCell(record[field])).join(",")
+    );
+    return `${[AUDIT_FIELDS.join(","), ...rows].join("\r\n")}\r\n`;
+  }
+  return records.map((record) => `${JSON.stringify(record)}\n`).join("");
+}
+
+/**
+ * Writes the audit trail for the date range to the AUDIT_EXPORT record of the
+ * run's default key-value store. Returns { records, format, key }.
+ */
+export async function exportAudit({ from, to, format = "jsonl" } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(
+      `❌ auditFormat must be one of: ${EXPORT_FORMATS.join(", ")}`
+    );
+  }
+  const records = await listAttempts({ from, to });
+  await Actor.setValue(AUDIT_EXPORT_KEY, formatAttempts(records, format), {
+    contentType: CONTENT_TYPES[format],
+  });
+  return { records: records.length, format, key: AUDIT_EXPORT_KEY };
+}
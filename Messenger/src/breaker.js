@@ -0,0 +1,59 @@
+import { ERROR_CODES } from './errors.js';
+import { log } from './logger.js';
+
+/* ----------------------------- Circuit breaker ---------------------------- */
+
+// Failures of the account itself: every later profile would log in again and
+// hit the same wall, so the run stops at the first one
+export const ACCOUNT_FAILURES = new Set([
+  ERROR_CODES.ACCOUNT_RESTRICTED,
+  ERROR_CODES.LOGIN_FAILED,
+  ERROR_CODES.CAPTCHA_BLOCKED,
+]);
+
+/**
+ * Why the run should halt after this result, or null to keep going: the
+ * account is restricted or cannot log in, or `maxConsecutiveFailures`
+ * profiles in a row failed (0 turns that check off). Keeps the failure streak
+ * in `state`.
+ */
+export function tripReason(campaign, result) {
+  const { state, maxConsecutiveFailures = 0, dryRun } = campaign;
+
+  if (ACCOUNT_FAILURES.has(result.errorCode)) {
+    return result.profileId
+      ? `${result.error} (profile ${result.profileId})`
+      : result.error;
+  }
+  if (result.success) {
+    Object.assign(state, { consecutiveFailures: 0 });
+    return null;
+  }
+
+  const streak = (state.consecutiveFailures || 0) + 1;
+  Object.assign(state, { consecutiveFailures: streak });
+
+  // A dry run is expected to turn up profiles that cannot be messaged
+  if (!dryRun && maxConsecutiveFailures > 0) {
+    if (streak >= maxConsecutiveFailures) {
+      return `${streak} profiles in a row failed, the last with ${result.errorCode}: ${result.error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Halts the run when `result` trips the breaker. The crawler finishes the
+ * current request and stops; the profiles still queued stay queued, so a
+ * resumed run picks them up. Returns true when the run was halted.
+ */
+export async function haltIfTripped(campaign, crawler, result) {
+  const haltedReason = tripReason(campaign, result);
+  if (!haltedReason) return false;
+
+  log.error("Halting the run", { step: "breaker", haltedReason });
+  Object.assign(campaign.state, { haltedReason });
+  await campaign.onProgress();
+  crawler.stop(`Run halted: ${haltedReason}`);
+  return true;
+}
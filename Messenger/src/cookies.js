@@ -0,0 +1,67 @@
+import { Actor } from 'apify';
+
+import { log } from './logger.js';
+
+/* -------------------------- Cookie Persistence -------------------------- */
+
+/**
+ * Record key of the login account's cookies. Record keys cannot contain "@",
+ * so it and any other character a key cannot hold become "_".
+ */
+export function cookieKey(email) {
+  return `cookies-${email.replace(/[^a-z0-9_.-]/gi, "_")}`;
+}
+
+/**
+ * Drops the cookies whose expiry has passed. Session cookies have no expiry
+ * and are kept.
+ */
+export function pruneExpired(cookies, now = Date.now()) {
+  return cookies.filter(
+    (cookie) => !(cookie.expires > 0) || cookie.expires * 1000 > now
+  );
+}
+
+/**
+ * The cookies saved for the login account, without expired ones, or null
+ * when none are saved.
+ */
+export async function readCookies(email) {
+  const cookies = await Actor.getValue(cookieKey(email));
+  if (!cookies || !Array.isArray(cookies)) return null;
+
+  const live = pruneExpired(cookies);
+  if (live.length < cookies.length) {
+    log.info("Dropped expired cookies", {
+      step: "cookies",
+      expired: cookies.length - live.length,
+    });
+  }
+  return live;
+}
+
+export async function writeCookies(email, cookies) {
+  await Actor.setValue(cookieKey(email), pruneExpired(cookies));
+}
+
+export async function saveCookies(page, email) {
+  await writeCookies(email, await page.cookies());
+}
+
+export async function loadCookies(page, email) {
+  const cookies = await readCookies(email);
+
+  if (cookies && cookies.length > 0) {
+    try {
+      await page.setCookie(...cookies);
+      return true;
+    } catch (err) {
+      log.warning("Failed to set cookies", {
+        step: "cookies",
+        error: err.message,
+      });
+      return false;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,248 @@
+import { PuppeteerCrawler } from 'crawlee';
+
+import { ACCOUNT_FAILURES, haltIfTripped } from './breaker.js';
+import { loadCookies } from './cookies.js';
+import { ERROR_CODES, errorCode, errorFields } from './errors.js';
+import { saveEvidence, watchConsole } from './evidence.js';
+import { forProfile, log } from './logger.js';
+import { deferredResult, notSentResult, recordResult } from './results.js';
+import { createRouter, LABELS, skipIfContacted } from './routes.js';
+import { closeSession, openSession, trackCookies } from './session.js';
+import { renderTemplate } from './template.js';
+import { delay, rand } from './utils.js';
+
+// Needs a login but skips the news feed, so the session check loads fast
+const SESSION_CHECK_URL = "https://www.facebook.com/settings";
+
+/* -------------------------------- Requests -------------------------------- */
+
+/**
+ * Queue request for one profile. The profile ID is part of the unique key so
+ * two profiles sharing a URL are both processed. Profiles with a `threadUrl`
+ * go straight to that conversation instead of the profile page.
+ */
+export function profileRequest(profile, text) {
+  return {
+    url: profile.threadUrl || profile.url,
+    uniqueKey: `${profile.id}|${profile.url}`,
+    label: profile.threadUrl ? LABELS.THREAD : LABELS.PROFILE,
+    userData: { profile, text },
+  };
+}
+
+// First request of a profile, as opposed to the thread a profile links to
+function startsProfile(request) {
+  if (request.label === LABELS.PROFILE) return true;
+  const { profile } = request.userData;
+  return request.label === LABELS.THREAD && !!profile.threadUrl;
+}
+
+/**
+ * Decides what happens to a profile before any page is opened. Returns the
+ * rendered message text, or null after recording why the profile is skipped.
+ */
+async function planProfile(campaign, profile) {
+  const { message, suppressionList = new Map() } = campaign;
+  const logger = forProfile(profile.id);
+
+  // Skipped up front so their pages are never visited; sendOnce checks again
+  if (await skipIfContacted(campaign, profile, suppressionList)) return null;
+
+  // Render the message template with this profile's fields
+  const { text, missing } = renderTemplate(message, profile);
+  if (missing.length > 0) {
+    logger.warning("Message template could not be rendered", {
+      step: "template",
+      missingVariables: missing,
+    });
+    await recordResult(
+      campaign,
+      profile,
+      notSentResult(profile, {
+        errorCode: ERROR_CODES.TEMPLATE_INCOMPLETE,
+        error: `Missing template variables: ${missing.join(", ")}`,
+        missingVariables: missing,
+      })
+    );
+    return null;
+  }
+
+  return text;
+}
+
+/* --------------------------------- Crawler -------------------------------- */
+
+// One request at a time on a single session
+export const SESSION_CRAWLER_OPTIONS = {
+  maxConcurrency: 1,
+  maxRequestRetries: 2,
+  navigationTimeoutSecs: 45,
+  requestHandlerTimeoutSecs: 300,
+  useSessionPool: true,
+  persistCookiesPerSession: true,
+  sessionPoolOptions: { maxPoolSize: 1 },
+};
+
+/**
+ * Pre-navigation hook that starts recording the page's console and, before
+ * the LOGIN request's session check, restores the login account's saved
+ * cookies (see loadCookies). Later pages keep the cookies the browser and
+ * the session pool hold, including any Facebook renewed or a login set.
+ */
+export function restoreSession(campaign) {
+  return async ({ request, page }, gotoOptions) => {
+    Object.assign(gotoOptions, { waitUntil: "domcontentloaded" });
+    watchConsole(page);
+    if (request.label === LABELS.LOGIN) {
+      await loadCookies(page, campaign.credentials.email);
+    }
+  };
+}
+
+/**
+ * Request that checks the Facebook session before the first profile, logging
+ * in when the saved one is gone. Each start of the run gets its own check.
+ */
+export function loginRequest(campaign) {
+  return {
+    url: campaign.homeUrl || SESSION_CHECK_URL,
+    uniqueKey: `login|${Date.now()}`,
+    label: LABELS.LOGIN,
+  };
+}
+
+/**
+ * PuppeteerCrawler that works through the campaign's queue one request at a
+ * time on a single session. `options` are passed on to the crawler
+ * (launchContext, preNavigationHooks, requestQueue, ...).
+ */
+export function createMessengerCrawler(campaign, options = {}) {
+  const { preNavigationHooks = [], ...crawlerOptions } = options;
+  let profilesVisited = 0;
+
+  return new PuppeteerCrawler({
+    ...SESSION_CRAWLER_OPTIONS,
+    ...crawlerOptions,
+    requestHandler: createRouter(campaign),
+    preNavigationHooks: [
+      restoreSession(campaign),
+      // Add random delay between profiles (3-10 seconds)
+      async ({ request }) => {
+        if (!startsProfile(request)) return;
+        if (profilesVisited > 0) {
+          const pauseTime = rand(3000, 10000);
+          forProfile(request.userData.profile.id).info(
+            "Pausing between profiles",
+            { step: "pause", durationMs: pauseTime }
+          );
+          await delay(pauseTime);
+        }
+        profilesVisited += 1;
+      },
+      ...preNavigationHooks,
+    ],
+    postNavigationHooks: campaign.session
+      ? [trackCookies(campaign.session)]
+      : [],
+    // Navigation kept failing or the handler threw on every retry
+    failedRequestHandler: async ({ request, page, crawler }, error) => {
+      if (request.label === LABELS.LOGIN) {
+        log.warning("Could not establish the session up front", {
+          step: "session",
+          errorCode: errorCode(error),
+          error: error.message,
+        });
+        // A login failure or restriction would repeat for every profile
+        if (ACCOUNT_FAILURES.has(errorCode(error))) {
+          await haltIfTripped(campaign, crawler, errorFields(error));
+        }
+        return;
+      }
+
+      const { profile } = request.userData;
+      forProfile(profile.id).error("Profile failed", {
+        step: "done",
+        errorCode: errorCode(error),
+        error: error.message,
+        retryCount: request.retryCount,
+      });
+      const result = notSentResult(profile, {
+        ...errorFields(error),
+        ...(page && { evidence: await saveEvidence(page, profile) }),
+      });
+      await recordResult(campaign, profile, result);
+      await haltIfTripped(campaign, crawler, result);
+    },
+  });
+}
+
+// Records every request still queued as deferred, so the run ends cleanly
+async function deferRemaining(campaign, requestQueue) {
+  for (;;) {
+    const request = await requestQueue.fetchNextRequest();
+    if (!request) break;
+    if (request.label !== LABELS.LOGIN) {
+      const { profile } = request.userData;
+      await recordResult(
+        campaign,
+        profile,
+        deferredResult(profile, campaign.state.quotaExhausted)
+      );
+    }
+    await requestQueue.markRequestHandled(request);
+  }
+}
+
+/**
+ * Runs a campaign: { message, attachments, operator, credentials, headless,
+ * dryRun, quota, maxConsecutiveFailures, suppressionList, dedupeWindowDays,
+ * force, homeUrl, state, onProgress }.
+ *
+ * On the first run every profile is checked against the suppression list,
+ * the send ledger and the template, and the rest are queued. A restarted run
+ * skips that step and continues with the persisted request queue. Either
+ * way the suppression list and ledger are checked again right before each
+ * send. When the send quota runs out, the profiles not reached are recorded
+ * as deferred. When the circuit breaker halts the run they stay queued
+ * instead, and `state.haltedReason` says why. The session is checked at every start, and
+ * cookies Facebook renewed are saved at the end; `state.sessionStatus` says
+ * how the session was obtained. Returns the results collected in `state`.
+ */
+export async function runCampaign(profiles, campaign, crawlerOptions = {}) {
+  const { state } = campaign;
+  const session = await openSession(campaign.credentials.email);
+  const running = { ...campaign, session };
+  const crawler = createMessengerCrawler(running, crawlerOptions);
+
+  if (!state.planned) {
+    const requests = [loginRequest(campaign)];
+
+    for (const [i, profile] of profiles.entries()) {
+      forProfile(profile.id).info(`Profile ${i + 1}/${profiles.length}`, {
+        step: "queue",
+      });
+      const text = await planProfile(campaign, profile);
+      if (text !== null) requests.push(profileRequest(profile, text));
+    }
+
+    await crawler.addRequests(requests);
+    Object.assign(state, { planned: true });
+    await campaign.onProgress();
+  } else {
+    log.info("Resuming from the request queue", {
+      step: "resume",
+      processed: state.results.length,
+      previouslyHalted: state.haltedReason,
+    });
+    Object.assign(state, { haltedReason: null, consecutiveFailures: 0 });
+    await crawler.addRequests([loginRequest(campaign)], { forefront: true });
+  }
+
+  await crawler.run();
+
+  if (state.quotaExhausted) {
+    await deferRemaining(running, await crawler.getRequestQueue());
+  }
+  Object.assign(state, { sessionStatus: await closeSession(session) });
+  return state.results;
+}
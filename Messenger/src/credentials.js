@@ -0,0 +1,59 @@
+import { Actor } from 'apify';
+
+/* ------------------------- Credential Resolution ------------------------- */
+
+// Key in the default key-value store that may hold { email, password }
+export const CREDENTIALS_KEY = "CREDENTIALS";
+
+/**
+ * Resolves the Facebook login credentials. Each field is taken from the first
+ * source that provides it:
+ *
+ *   1. Actor input (`email`, `password` - the password is an isSecret field)
+ *   2. Environment variables (`LOGIN_EMAIL`, `LOGIN_PASSWORD`)
+ *   3. Default key-value store record `CREDENTIALS` ({ email, password })
+ *
+ * Throws when either value cannot be found in any source.
+ */
+export async function resolveCredentials(input = {}) {
+  const sources = [
+    { name: "input", read: async () => input },
+    {
+      name: "env",
+      read: async () => ({
+        email: process.env.LOGIN_EMAIL,
+        password: process.env.LOGIN_PASSWORD,
+      }),
+    },
+    {
+      name: "key-value store",
+      read: async () => (await Actor.getValue(CREDENTIALS_KEY)) || {},
+    },
+  ];
+
+  const credentials = { email: null, password: null, sources: {} };
+
+  for (const source of sources) {
+    if (credentials.email && credentials.password) break;
+
+    const values = await source.read();
+    for (const field of ["email", "password"]) {
+      const value = values[field];
+      if (!credentials[field] && typeof value === "string" && value.trim()) {
+        credentials[field] = field === "email" ? value.trim() : value;
+        credentials.sources[field] = source.name;
+      }
+    }
+  }
+
+  const missing = ["email", "password"].filter((field) => !credentials[field]);
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing Facebook login ${missing.join(" and ")}. Provide it through the ` +
+        `Actor input (email, password), the LOGIN_EMAIL / LOGIN_PASSWORD ` +
+        `environment variables or the "${CREDENTIALS_KEY}" key-value store record.`
+    );
+  }
+
+  return credentials;
+}
@@ -0,0 +1,66 @@
+import { NonRetryableError } from 'crawlee';
+
+/* ------------------------------ Failure codes ----------------------------- */
+
+// Stable, machine-readable reasons a profile was not messaged
+export const ERROR_CODES = {
+  NAVIGATION_TIMEOUT: "NAVIGATION_TIMEOUT",
+  NAVIGATION_FAILED: "NAVIGATION_FAILED",
+  LOGIN_FAILED: "LOGIN_FAILED",
+  CAPTCHA_BLOCKED: "CAPTCHA_BLOCKED",
+  ACCOUNT_RESTRICTED: "ACCOUNT_RESTRICTED",
+  NO_MESSAGE_BUTTON: "NO_MESSAGE_BUTTON",
+  COMPOSER_NOT_FOUND: "COMPOSER_NOT_FOUND",
+  COMPOSER_MISMATCH: "COMPOSER_MISMATCH",
+  ATTACHMENT_FAILED: "ATTACHMENT_FAILED",
+  SEND_FAILED: "SEND_FAILED",
+  TEMPLATE_INCOMPLETE: "TEMPLATE_INCOMPLETE",
+  INTERRUPTED: "INTERRUPTED",
+  UNKNOWN: "UNKNOWN",
+};
+
+/**
+ * A failure whose cause is known. Retrying the same request would hit the
+ * same wall, so the crawler does not retry it.
+ */
+export class MessengerError extends NonRetryableError {
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = "MessengerError";
+    this.code = code;
+  }
+}
+
+/**
+ * Returns `err` when it already carries a code, otherwise a MessengerError
+ * with `fallbackCode` and the same message, keeping `err` as its cause.
+ */
+export function withCode(err, fallbackCode) {
+  if (err instanceof MessengerError) return err;
+  return new MessengerError(fallbackCode, err.message, { cause: err });
+}
+
+/**
+ * Error code for any error: its own code, or one derived from errors raised
+ * by Puppeteer and Crawlee while navigating.
+ */
+export function errorCode(err) {
+  if (err instanceof MessengerError) return err.code;
+  if (err.name === "TimeoutError" || /timed? ?out/i.test(err.message)) {
+    return ERROR_CODES.NAVIGATION_TIMEOUT;
+  }
+  if (/net::ERR_/.test(err.message)) return ERROR_CODES.NAVIGATION_FAILED;
+  return ERROR_CODES.UNKNOWN;
+}
+
+/**
+ * Result fields describing a failure. The stack is the original error's,
+ * not the wrapper's.
+ */
+export function errorFields(err) {
+  return {
+    errorCode: errorCode(err),
+    error: err.message,
+    errorStack: (err.cause || err).stack,
+  };
+}
@@ -0,0 +1,82 @@
+import { Actor } from 'apify';
+
+import { log, redact } from './logger.js';
+
+/* ---------------------------- Failure evidence ---------------------------- */
+
+// Keep the tail of very chatty pages
+const MAX_CONSOLE_LINES = 500;
+
+const consoleLogs = new WeakMap();
+
+/**
+ * Starts recording the page's console output and uncaught page errors, for
+ * saveEvidence to store if the profile fails.
+ */
+export function watchConsole(page) {
+  const lines = [];
+  consoleLogs.set(page, lines);
+
+  const push = (line) => {
+    lines.push(`${new Date().toISOString()} ${line}`);
+    if (lines.length > MAX_CONSOLE_LINES) lines.shift();
+  };
+  page.on("console", (msg) => push(`[${msg.type()}] ${msg.text()}`));
+  page.on("pageerror", (err) => push(`[pageerror] ${err.message}`));
+}
+
+// Record keys allow up to 256 letters, digits and !-_.'() only
+function evidenceKey(profileId) {
+  const safeId = String(profileId)
+    .replace(/[^a-zA-Z0-9!\-_.'()]/g, "_")
+    .slice(0, 200);
+  return `evidence-${safeId}`;
+}
+
+/**
+ * Saves a full-page screenshot, the page HTML and a JSON record with the
+ * current URL and console log to the default key-value store, under keys
+ * derived from the profile ID. Returns the page URL plus the key and public
+ * URL of each saved part, for the dataset record; parts that could not be
+ * captured are left out.
+ */
+export async function saveEvidence(page, profile) {
+  const key = evidenceKey(profile.id);
+  const store = await Actor.openKeyValueStore();
+  const evidence = { pageUrl: page.url() };
+
+  const save = async (name, capture, contentType) => {
+    const recordKey = `${key}-${name}`;
+    const options = contentType ? { contentType } : {};
+    try {
+      await store.setValue(recordKey, await capture(), options);
+      evidence[name] = { key: recordKey, url: store.getPublicUrl(recordKey) };
+    } catch (err) {
+      log.warning("Could not capture failure evidence", {
+        step: "evidence",
+        profileId: profile.id,
+        part: name,
+        error: err.message,
+      });
+    }
+  };
+
+  await save(
+    "screenshot",
+    () => page.screenshot({ fullPage: true, type: "png" }),
+    "image/png"
+  );
+  await save(
+    "html",
+    async () => redact(await page.content()),
+    "text/html; charset=utf-8"
+  );
+  await save("details", async () => ({
+    profileId: profile.id,
+    url: page.url(),
+    capturedAt: new Date().toISOString(),
+    console: redact(consoleLogs.get(page) || []),
+  }));
+
+  return evidence;
+}
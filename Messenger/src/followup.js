@@ -0,0 +1,180 @@
+import { Actor } from 'apify';
+import { createPuppeteerRouter, PuppeteerCrawler } from 'crawlee';
+
+import { ACCOUNT_FAILURES } from './breaker.js';
+import {
+  loginRequest,
+  restoreSession,
+  SESSION_CRAWLER_OPTIONS,
+} from './crawler.js';
+import { errorCode, errorFields } from './errors.js';
+import { saveEvidence } from './evidence.js';
+import { listLedgerEntries } from './ledger.js';
+import { forProfile, log } from './logger.js';
+import { findThreadLink, openChat } from './messenger.js';
+import { canonicalProfileId } from './profiles.js';
+import { checkSession, LABELS, logIn } from './routes.js';
+import { closeSession, openSession, trackCookies } from './session.js';
+import { delay, rand } from './utils.js';
+
+/* -------------------------- Earlier conversations ------------------------- */
+
+function targetKey(send) {
+  return canonicalProfileId({ id: send.profileId, url: send.url });
+}
+
+// Sent records of an earlier run's dataset, in the ledger's shape
+async function datasetSends(datasetId) {
+  const dataset = await Actor.openDataset(datasetId);
+  const sends = [];
+  await dataset.forEach(async (item) => {
+    if (item.messageSent !== "Yes" || item.dryRun) return;
+    sends.push({
+      profileId: item.profileId,
+      url: item.url,
+      threadUrl: item.threadUrl || null,
+      // Records from before sentAt was kept were pushed right after sending
+      sentAt: item.sentAt || item.timestamp,
+    });
+  });
+  return sends;
+}
+
+/**
+ * The conversations of earlier sends: one per person messaged, with the time
+ * of the latest send. Read from the send ledger, or from the sent records of
+ * the dataset `sourceDatasetId` when given. `profiles` (validated profile
+ * entries) limits them to those people.
+ * Returns [{ profileId, url, threadUrl, sentAt }].
+ */
+export async function sentConversations({ sourceDatasetId, profiles } = {}) {
+  const sends = sourceDatasetId
+    ? await datasetSends(sourceDatasetId)
+    : (await listLedgerEntries()).map(
+        ({ profileId, url, threadUrl = null, sentAt }) => ({
+          profileId,
+          url,
+          threadUrl,
+          sentAt,
+        })
+      );
+
+  const latest = new Map();
+  for (const send of sends) {
+    const seen = latest.get(targetKey(send));
+    if (!seen || Date.parse(send.sentAt) > Date.parse(seen.sentAt)) {
+      latest.set(targetKey(send), send);
+    }
+  }
+
+  const targets = [...latest.values()];
+  if (!profiles) return targets;
+  const wanted = new Set(profiles.map(canonicalProfileId));
+  return targets.filter((target) => wanted.has(targetKey(target)));
+}
+
+/* -------------------------- Revisiting conversations ---------------------- */
+
+/**
+ * Opens each target's conversation on the login account's session, the same
+ * way a send reaches it: the thread URL when there is one, otherwise the
+ * profile's Message link or button. Then calls
+ * `visit({ target, page, threadUrl, logger })`; nothing is sent. `campaign` is
+ * { credentials, headless, homeUrl }; `options` are passed on to the crawler.
+ * Returns { conversations, checked, failed, haltedReason, sessionStatus },
+ * where `failed` lists the conversations that could not be read. A login
+ * failure or block at the session check halts the visits, so the
+ * conversations still queued do not each try to log in again.
+ */
+export async function visitConversations(targets, campaign, visit, options) {
+  const { preNavigationHooks = [], ...crawlerOptions } = options || {};
+  const summary = {
+    conversations: targets.length,
+    checked: 0,
+    failed: [],
+    haltedReason: null,
+  };
+  const session = await openSession(campaign.credentials.email);
+  const visiting = { ...campaign, session };
+  const router = createPuppeteerRouter();
+
+  router.addHandler(LABELS.LOGIN, async ({ page }) => {
+    log.info("Checking the Facebook session", { step: "session" });
+    await checkSession(page, visiting, log);
+  });
+
+  router.addHandler(LABELS.CONVERSATION, async ({ request, page }) => {
+    const { target } = request.userData;
+    const logger = forProfile(target.profileId);
+
+    await logIn(page, visiting, logger, request.url);
+
+    // Profiles lead to the conversation through their Message button
+    let { threadUrl } = target;
+    if (!threadUrl) {
+      threadUrl = await findThreadLink(page);
+      if (threadUrl) {
+        await page.goto(threadUrl, { waitUntil: "domcontentloaded" });
+      } else {
+        await openChat(page, logger);
+      }
+    }
+    await delay(rand(1000, 2000));
+
+    await visit({ target, page, threadUrl, logger });
+    summary.checked += 1;
+  });
+
+  const crawler = new PuppeteerCrawler({
+    ...SESSION_CRAWLER_OPTIONS,
+    ...crawlerOptions,
+    requestHandler: router,
+    preNavigationHooks: [restoreSession(campaign), ...preNavigationHooks],
+    postNavigationHooks: [trackCookies(session)],
+    failedRequestHandler: async ({ request, page }, error) => {
+      if (request.label === LABELS.LOGIN) {
+        log.warning("Could not establish the session up front", {
+          step: "session",
+          errorCode: errorCode(error),
+          error: error.message,
+        });
+        if (ACCOUNT_FAILURES.has(errorCode(error))) {
+          summary.haltedReason = error.message;
+          log.error("Halting the run", {
+            step: "breaker",
+            haltedReason: summary.haltedReason,
+          });
+          crawler.stop(`Run halted: ${summary.haltedReason}`);
+        }
+        return;
+      }
+
+      const { target } = request.userData;
+      forProfile(target.profileId).error("Could not read the conversation", {
+        step: "conversation",
+        errorCode: errorCode(error),
+        error: error.message,
+      });
+      const { errorStack, ...fields } = errorFields(error);
+      summary.failed.push({
+        profileId: target.profileId,
+        url: target.url,
+        ...fields,
+        ...(page && {
+          evidence: await saveEvidence(page, { id: target.profileId }),
+        }),
+      });
+    },
+  });
+
+  await crawler.run([
+    loginRequest(campaign),
+    ...targets.map((target) => ({
+      url: target.threadUrl || target.url,
+      uniqueKey: `conversation|${target.profileId}|${target.url}`,
+      label: LABELS.CONVERSATION,
+      userData: { target },
+    })),
+  ]);
+  return { ...summary, sessionStatus: await closeSession(session) };
+}
@@ -0,0 +1,86 @@
+import { createHash } from 'node:crypto';
+
+import { Actor } from 'apify';
+
+import { canonicalProfileId } from './profiles.js';
+
+/* ---------------------------- Cross-run ledger ---------------------------- */
+
+// Named store, so sends from earlier runs are remembered
+export const LEDGER_STORE = "messenger-send-ledger";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sha256(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+// Record keys may not contain "/" or "?", so the canonical ID is hashed
+function ledgerKey(canonicalId) {
+  return `sent-${sha256(canonicalId).slice(0, 32)}`;
+}
+
+async function openStore() {
+  return Actor.openKeyValueStore(LEDGER_STORE);
+}
+
+export function hashMessage(text) {
+  return sha256(text);
+}
+
+/**
+ * Returns the ledger entry for the profile, or null if it was never messaged:
+ * { canonicalId, profileId, url, threadUrl, sentAt, messageHash, runId }.
+ */
+export async function getLedgerEntry(profile) {
+  const store = await openStore();
+  return store.getValue(ledgerKey(canonicalProfileId(profile)));
+}
+
+/**
+ * Every entry in the ledger, in key order.
+ */
+export async function listLedgerEntries() {
+  const store = await openStore();
+  const keys = [];
+  await store.forEachKey(async (key) => {
+    keys.push(key);
+  });
+
+  const entries = [];
+  for (const key of keys) {
+    const entry = await store.getValue(key);
+    if (entry) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Records a sent message for the profile, replacing any earlier entry.
+ * `threadUrl` is the conversation it was sent in, when known.
+ */
+export async function recordSend(profile, text, threadUrl = null) {
+  const canonicalId = canonicalProfileId(profile);
+  const entry = {
+    canonicalId,
+    profileId: profile.id,
+    url: profile.url,
+    threadUrl,
+    sentAt: new Date().toISOString(),
+    messageHash: hashMessage(text),
+    runId: Actor.getEnv().actorRunId || "local",
+  };
+
+  const store = await openStore();
+  await store.setValue(ledgerKey(canonicalId), entry);
+  return entry;
+}
+
+/**
+ * True when the entry's send falls within the last `windowDays` days.
+ * A window of 0 never treats a profile as recently messaged.
+ */
+export function sentWithinWindow(entry, windowDays, now = Date.now()) {
+  if (!entry || !(windowDays > 0)) return false;
+  return now - Date.parse(entry.sentAt) < windowDays * DAY_MS;
+}
@@ -0,0 +1,144 @@
+import { renderTemplate } from './template.js';
+
+/* ------------------------------ Message lint ------------------------------ */
+
+// Longest message Messenger accepts, in characters
+export const MAX_MESSAGE_LENGTH = 20000;
+
+// Errors stop the run before login; warnings are only reported
+export const SEVERITY = { ERROR: "error", WARNING: "warning" };
+
+// Left over after rendering: placeholders the template syntax did not match,
+// such as "{{first name}}" or an unclosed "{{firstName"
+const LEFTOVER_BRACES = /\{\{|\}\}/;
+
+// Messenger turns these into link previews
+const BARE_URL = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+
+// Zero-width characters, bidirectional controls, soft hyphen and BOM
+const INVISIBLE =
+  /[\u00AD\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+// Control characters other than tab and newline. The composer drops them or
+// acts on them, so the typed text would not match the message
+// eslint-disable-next-line no-control-regex -- matching them is the point
+const CONTROL = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F]/g;
+
+function codePoints(chars) {
+  return [...new Set(chars)]
+    .map((ch) => ch.codePointAt(0).toString(16).toUpperCase().padStart(4, "0"))
+    .map((hex) => `U+${hex}`)
+    .join(", ");
+}
+
+/**
+ * Checks the message as rendered for each profile, before the browser is
+ * launched. Returns findings [{ code, severity, message, profiles? }], where
+ * `profiles` lists the affected profile ids when not every profile is.
+ * Findings with severity "error" mean the run must not send.
+ */
+export function lintMessage(template, profiles) {
+  const rendered = profiles.map((profile) => ({
+    id: profile.id,
+    ...renderTemplate(template, profile),
+  }));
+  const findings = [];
+  const report = (code, severity, message, affected) => {
+    findings.push({
+      code,
+      severity,
+      message,
+      ...(affected.length < rendered.length && {
+        profiles: affected.map((r) => r.id),
+      }),
+    });
+  };
+
+  // Profiles missing a value are skipped, so the rest is checked on its own
+  const incomplete = rendered.filter((r) => r.missing.length > 0);
+  const complete = rendered.filter((r) => r.missing.length === 0);
+
+  if (incomplete.length > 0) {
+    const fields = [...new Set(incomplete.flatMap((r) => r.missing))];
+    report(
+      "MISSING_FIELDS",
+      // With every profile skipped there is nothing left to send
+      complete.length === 0 ? SEVERITY.ERROR : SEVERITY.WARNING,
+      `No value for ${fields.map((f) => `{{${f}}}`).join(", ")}; these profiles are skipped`,
+      incomplete
+    );
+  }
+
+  const tooLong = complete.filter(
+    (r) => [...r.text].length > MAX_MESSAGE_LENGTH
+  );
+  if (tooLong.length > 0) {
+    report(
+      "MESSAGE_TOO_LONG",
+      SEVERITY.ERROR,
+      `Message is over Messenger's limit of ${MAX_MESSAGE_LENGTH} characters`,
+      tooLong
+    );
+  }
+
+  const unresolved = complete.filter((r) => LEFTOVER_BRACES.test(r.text));
+  if (unresolved.length > 0) {
+    report(
+      "UNRESOLVED_PLACEHOLDER",
+      SEVERITY.ERROR,
+      "Message has {{ or }} outside a valid placeholder, which would be sent as is",
+      unresolved
+    );
+  }
+
+  const links = complete.filter((r) => r.text.match(BARE_URL));
+  if (links.length > 0) {
+    const urls = [...new Set(links.flatMap((r) => r.text.match(BARE_URL)))];
+    report(
+      "BARE_URL",
+      SEVERITY.WARNING,
+      `Messenger shows a link preview for ${urls.join(", ")}`,
+      links
+    );
+  }
+
+  const invisible = complete.filter((r) => r.text.match(INVISIBLE));
+  if (invisible.length > 0) {
+    const chars = invisible.flatMap((r) => r.text.match(INVISIBLE));
+    report(
+      "INVISIBLE_CHARACTERS",
+      SEVERITY.WARNING,
+      `Message has invisible characters: ${codePoints(chars)}`,
+      invisible
+    );
+  }
+
+  const control = complete.filter((r) => r.text.match(CONTROL));
+  if (control.length > 0) {
+    const chars = control.flatMap((r) => r.text.match(CONTROL));
+    report(
+      "CONTROL_CHARACTERS",
+      SEVERITY.ERROR,
+      `Message has control characters: ${codePoints(chars)}`,
+      control
+    );
+  }
+
+  if (complete.length > 1 && new Set(complete.map((r) => r.text)).size === 1) {
+    report(
+      "IDENTICAL_MESSAGES",
+      SEVERITY.WARNING,
+      "Every profile gets the same text; personalize it with {{placeholders}}",
+      complete
+    );
+  }
+
+  return findings;
+}
+
+/**
+ * The findings that stop the run.
+ */
+export function blockingFindings(findings) {
+  return findings.filter((f) => f.severity === SEVERITY.ERROR);
+}
@@ -0,0 +1,109 @@
+import { readFileSync } from 'node:fs';
+
+import { log as apifyLog, LoggerJson } from 'apify';
+
+/* --------------------------- Structured logging --------------------------- */
+
+const MASK = "***";
+
+// Input fields declared with "isSecret": true in the input schema
+function loadSecretInputFields() {
+  try {
+    const schema = JSON.parse(
+      readFileSync(
+        new URL("../.actor/input_schema.json", import.meta.url),
+        "utf8"
+      )
+    );
+    return Object.entries(schema.properties || {})
+      .filter(([, property]) => property.isSecret)
+      .map(([name]) => name);
+  } catch {
+    return ["password"];
+  }
+}
+
+const secretFields = new Set(loadSecretInputFields());
+const secretValues = new Set();
+
+/**
+ * Registers values (login email, password, ...) that must never appear in the
+ * log, wherever they show up in a message or data field.
+ */
+export function registerSecrets(...values) {
+  for (const value of values) {
+    if (typeof value === "string" && value.length > 0) secretValues.add(value);
+  }
+}
+
+function redactString(text) {
+  let result = text;
+  for (const secret of secretValues) {
+    result = result.split(secret).join(MASK);
+  }
+  return result;
+}
+
+function redactCookies(cookies) {
+  if (typeof cookies === "string") {
+    // Cookie header: "name=value; name2=value2"
+    return cookies.replace(/=([^;]*)/g, `=${MASK}`);
+  }
+  if (Array.isArray(cookies)) {
+    return cookies.map((cookie) =>
+      cookie && typeof cookie === "object"
+        ? { ...redact(cookie), value: MASK }
+        : MASK
+    );
+  }
+  return MASK;
+}
+
+/**
+ * Returns a copy of `value` with secret input fields, cookie values and
+ * registered secret strings replaced by "***".
+ */
+export function redact(value) {
+  if (typeof value === "string") return redactString(value);
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (secretFields.has(key)) {
+      result[key] = MASK;
+    } else if (/^(cookies?|set-cookie)$/i.test(key)) {
+      result[key] = redactCookies(field);
+    } else {
+      result[key] = redact(field);
+    }
+  }
+  return result;
+}
+
+/* eslint-disable no-underscore-dangle -- _log is the @apify/log hook every entry goes through */
+class RedactingLoggerJson extends LoggerJson {
+  _log(level, message, data, exception, opts) {
+    return super._log(
+      level,
+      redact(message),
+      redact(data),
+      redact(exception),
+      opts
+    );
+  }
+}
+/* eslint-enable no-underscore-dangle */
+
+/**
+ * Actor-wide logger: Apify's `log` writing one JSON object per entry, with
+ * every entry passed through `redact`. Pass `step` and `durationMs` in the
+ * data and use `forProfile` to tag entries with the profile being processed.
+ */
+export const log = apifyLog.child({ logger: new RedactingLoggerJson() });
+
+export function forProfile(profileId) {
+  return log.child({ data: { profileId } });
+}
@@ -0,0 +1,303 @@
+import { ERROR_CODES, MessengerError, withCode } from './errors.js';
+import { log } from './logger.js';
+import { delay, humanClick, humanType, rand } from './utils.js';
+
+/* -------------------------- reCAPTCHA Solving --------------------------- */
+
+export async function solveRecaptchaAudio(page, logger = log) {
+  logger.info("Attempting to solve reCAPTCHA using audio challenge", {
+    step: "captcha",
+  });
+
+  try {
+    await delay(rand(1000, 2000));
+
+    // Wait for reCAPTCHA iframe
+    await page.waitForSelector('iframe[src*="recaptcha"]', { timeout: 10000 });
+
+    const frames = await page.frames();
+    const recaptchaFrame = frames.find((frame) =>
+      frame.url().includes("recaptcha/api2/anchor")
+    );
+
+    if (recaptchaFrame) {
+      // Click the checkbox
+      const checkbox = await recaptchaFrame.$("#recaptcha-anchor");
+      if (checkbox) {
+        await checkbox.click();
+        await delay(rand(2000, 3000));
+      }
+    }
+
+    // Look for challenge frame
+    await delay(1000);
+    const updatedFrames = await page.frames();
+    const challengeFrame = updatedFrames.find((frame) =>
+      frame.url().includes("recaptcha/api2/bframe")
+    );
+
+    if (!challengeFrame) {
+      logger.info("reCAPTCHA solved with checkbox click", { step: "captcha" });
+      return true;
+    }
+
+    // For now, return false and let manual solving handle it
+    logger.warning("reCAPTCHA requires manual intervention", {
+      step: "captcha",
+    });
+    return false;
+  } catch (error) {
+    logger.error("reCAPTCHA audio solving failed", {
+      step: "captcha",
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+export async function solveCaptcha(page, headless, logger = log) {
+  logger.info("Detecting CAPTCHA", { step: "captcha" });
+
+  const captchaPresent = await page.evaluate(() => {
+    const frames = Array.from(document.querySelectorAll("iframe"));
+    const hasRecaptcha = frames.some((f) =>
+      (f.src || "").toLowerCase().includes("recaptcha")
+    );
+    const overlay = !!document.querySelector(
+      '.captcha, [id*="captcha"], [class*="captcha"]'
+    );
+    return hasRecaptcha || overlay;
+  });
+
+  if (!captchaPresent) return true;
+
+  // Try audio challenge method
+  const audioSolved = await solveRecaptchaAudio(page, logger);
+  if (audioSolved) return true;
+
+  // If running in non-headless mode, allow manual solving
+  if (!headless) {
+    logger.info("Waiting for manual CAPTCHA solve (3 minutes)", {
+      step: "captcha",
+    });
+    const maxWait = 3 * 60 * 1000;
+    const start = Date.now();
+
+    while (Date.now() - start < maxWait) {
+      const stillPresent = await page.evaluate(() => {
+        const frames = Array.from(document.querySelectorAll("iframe"));
+        return frames.some((f) =>
+          (f.src || "").toLowerCase().includes("recaptcha")
+        );
+      });
+
+      if (!stillPresent) {
+        logger.info("CAPTCHA solved manually", {
+          step: "captcha",
+          durationMs: Date.now() - start,
+        });
+        return true;
+      }
+
+      await delay(2000);
+    }
+  }
+
+  return false;
+}
+
+/* ---------------------------- Login Detection & Handling --------------------------- */
+
+export async function isLoginRequired(page) {
+  // Check if we're on a login page or redirected to login
+  const currentUrl = page.url();
+  const isLoginPage =
+    currentUrl.includes("/login") ||
+    currentUrl.includes("/signin") ||
+    currentUrl.includes("login.facebook.com") ||
+    currentUrl.includes("m.facebook.com/login");
+
+  if (isLoginPage) return true;
+
+  // Check for login-related elements on the page
+  const loginElements = await page.evaluate(() => {
+    const hasLoginForm = !!document.querySelector(
+      'input[name="email"], input[type="email"], #email'
+    );
+    const hasPasswordField = !!document.querySelector(
+      'input[name="pass"], input[name="password"], input[type="password"]'
+    );
+    const hasLoginButton = !!document.querySelector(
+      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"]'
+    );
+    const hasLoginText =
+      document.body.textContent.toLowerCase().includes("log in") ||
+      document.body.textContent.toLowerCase().includes("sign in");
+
+    return hasLoginForm && hasPasswordField && (hasLoginButton || hasLoginText);
+  });
+
+  return loginElements;
+}
+
+// Checkpoints and blocks that stop the account from messaging anyone
+const RESTRICTION_TEXT = [
+  "you're temporarily blocked",
+  "you can't send messages right now",
+  "you can't use this feature",
+  "your account has been restricted",
+  "your account has been locked",
+  "we suspended your account",
+  "confirm your identity",
+];
+
+/**
+ * Returns what gave away a restricted account (the checkpoint URL or the
+ * block notice's wording), or null when the page looks normal.
+ */
+export async function detectRestriction(page) {
+  if (page.url().includes("/checkpoint")) return "checkpoint page";
+
+  const text = await page.evaluate(() =>
+    document.body
+      ? document.body.textContent.toLowerCase().replace(/\u2019/g, "'")
+      : ""
+  );
+  const phrase = RESTRICTION_TEXT.find((p) => text.includes(p));
+  return phrase ? `"${phrase}"` : null;
+}
+
+export async function performFacebookLogin(
+  page,
+  email,
+  password,
+  headless,
+  logger = log
+) {
+  const start = Date.now();
+  logger.info("Performing Facebook login", { step: "login" });
+
+  try {
+    // Wait for login form
+      await page.waitForSelector('input[name="email"], input[type="email"]', { timeout: 10000 });
+    
+    // Fill email
+    const emailField = await page.$('input[name="email"], input[type="email"]');
+    if (emailField) {
+      await humanClick(page, emailField);
+      await delay(rand(300, 600));
+      await humanType(emailField, email, { min: 80, max: 180 });
+      await delay(rand(400, 800));
+    } else {
+      throw new MessengerError(
+        ERROR_CODES.LOGIN_FAILED,
+        "Email field not found"
+      );
+    }
+
+    // --- Fill password ---
+    const passwordSelector = 'input[name="pass"], input[type="password"]';
+    const passwordField = await page.$(passwordSelector);
+    if (passwordField) {
+      await humanClick(page, passwordField);            // ✅ click handle
+      await delay(rand(300, 600));
+      await humanType(passwordField, password, { min: 80, max: 180 }); // ✅ handle
+      await delay(rand(500, 1000));
+    } else {
+      throw new MessengerError(
+        ERROR_CODES.LOGIN_FAILED,
+        "Password field not found"
+      );
+    }
+
+    // --- Click login button ---
+    const loginButton = await page.$(
+      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"], button[type="submit"]'
+    );
+    if (loginButton) {
+      await humanClick(page, loginButton); // ✅ handle
+    } else {
+      logger.warning("Login button not found, pressing Enter as fallback", {
+        step: "login",
+      });
+      await page.keyboard.press("Enter");
+    }
+
+    logger.info("Waiting for login to complete", { step: "login" });
+
+    // --- Wait for navigation or login ---
+    await Promise.race([
+      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 15000 }),
+      delay(5000), // FB sometimes AJAX refreshes without full navigation
+    ]);
+
+    await delay(rand(2000, 4000));
+
+    // --- CAPTCHA check ---
+    const captchaPresent = await page.evaluate(() => {
+      const frames = Array.from(document.querySelectorAll("iframe"));
+      const hasRecaptcha = frames.some((f) =>
+        (f.src || "").toLowerCase().includes("recaptcha")
+      );
+      const hasCaptchaText =
+        document.body.textContent.toLowerCase().includes("security check") ||
+        document.body.textContent.toLowerCase().includes("verify") ||
+        !!document.querySelector('[id*="captcha"], [class*="captcha"]');
+      return hasRecaptcha || hasCaptchaText;
+    });
+
+    if (captchaPresent) {
+      logger.warning("CAPTCHA detected during login", { step: "login" });
+      const solved = await solveCaptcha(page, headless, logger);
+      if (!solved) {
+        throw new MessengerError(
+          ERROR_CODES.CAPTCHA_BLOCKED,
+          "CAPTCHA could not be solved during login"
+        );
+      }
+      await delay(rand(3000, 5000));
+    }
+
+    const restriction = await detectRestriction(page);
+    if (restriction) {
+      throw new MessengerError(
+        ERROR_CODES.ACCOUNT_RESTRICTED,
+        `Account restricted: Facebook showed ${restriction}`
+      );
+    }
+
+    // --- Check success ---
+    const stillOnLoginPage = await isLoginRequired(page);
+    if (stillOnLoginPage) {
+      const errorMessage = await page.evaluate(() => {
+        const errorElements = document.querySelectorAll(
+          '[role="alert"], .error, [id*="error"]'
+        );
+        for (const el of errorElements) {
+          if (el.textContent.trim()) return el.textContent.trim();
+        }
+        return null;
+      });
+
+      throw new MessengerError(
+        ERROR_CODES.LOGIN_FAILED,
+        errorMessage
+          ? `Login failed: ${errorMessage}`
+          : "Login failed: Still on login page"
+      );
+    }
+
+    logger.info("Facebook login successful", {
+      step: "login",
+      durationMs: Date.now() - start,
+    });
+    return true;
+  } catch (error) {
+    logger.error("Facebook login failed", {
+      step: "login",
+      durationMs: Date.now() - start,
+      error: error.message,
+    });
+    throw withCode(error, ERROR_CODES.LOGIN_FAILED);
+  }
+}
@@ -6,784 +6,494 @@
  *
  * Input Schema:
  * {
- *   "loginEmail": "your-email@example.com",
- *   "loginPassword": "your-password",
+ *   "email": "your-email@example.com",
+ *   "password": "your-password",
  *   "profiles": [
- *     {"id": "profile-001", "url": "https://www.facebook.com/username"},
- *     {"id": "profile-002", "url": "https://www.facebook.com/profile.php?id=123456"}
+ *     {"id": "profile-001", "url": "https://www.facebook.com/username", "firstName": "Terri"},
+ *     {"id": "profile-002", "url": "https://www.facebook.com/profile.php?id=123456", "firstName": "Sam"}
  *   ],
- *   "message": "Your message text here",
+ *   "message": "Hi {{firstName}}, your message text here",
  *   "headless": true
  * }
+ *
+ * The message is a template: {{field}} placeholders are filled in from each
+ * profile object (see src/template.js).
+ *
+ * The credentials may instead come from the LOGIN_EMAIL / LOGIN_PASSWORD
+ * environment variables or the CREDENTIALS key-value store record
+ * (see src/credentials.js for the resolution order).
+ *
+ * "requireApproval": true only renders the messages and stores them with an
+ * approval token; a run given that "approvalToken" and the same input sends
+ * them (see src/approval.js).
+ *
+ * With "mode": "collectReplies" nothing is sent: the run reads the replies to
+ * earlier sends into the messenger-replies dataset (see src/replies.js).
+ * "mode": "checkStatus" likewise writes the Sent / Delivered / Seen status of
+ * each earlier send to the messenger-status dataset (see src/status.js).
+ *
+ * Every send attempt is appended to the messenger-audit dataset;
+ * "mode": "exportAudit" exports it for a date range (see src/audit.js).
  */
 import { Actor } from 'apify';
-import { PuppeteerCrawler, Dataset } from 'crawlee';
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 
-// import { PuppeteerCrawler } from 'crawlee';
-// import puppeteer from 'puppeteer-extra';
-// import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { createApproval, verifyApproval } from './approval.js';
+import { resolveAttachments } from './attachments.js';
+import { exportAudit } from './audit.js';
+import { runCampaign } from './crawler.js';
+import { resolveCredentials } from './credentials.js';
+import { sentConversations } from './followup.js';
+import { blockingFindings, lintMessage } from './lint.js';
+import { log, registerSecrets } from './logger.js';
+import { validateProfiles } from './profiles.js';
+import { collectReplies } from './replies.js';
+import { checkStatus } from './status.js';
+import { updateSuppressionList } from './suppression.js';
 
 // Use stealth plugin
 puppeteer.use(StealthPlugin());
 
 const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
 
-/* ---------------------------- Utility helpers ---------------------------- */
-
-function rand(min = 100, max = 1000) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+// Progress record that lets a migrated or restarted run resume
+const STATE_KEY = "MESSENGER_STATE";
+
+// What a run does: message the profiles, or revisit the earlier sends
+const MODES = ["send", "collectReplies", "checkStatus", "exportAudit"];
+
+// Follow-up modes: what each reads from the conversations of earlier sends
+const FOLLOW_UPS = {
+  collectReplies: { run: collectReplies, activity: "Collecting replies" },
+  checkStatus: { run: checkStatus, activity: "Checking delivery status" },
+};
+
+/* --------------------------------- Browser -------------------------------- */
+
+// Browser launched by the crawler with Apify's configuration
+function launchContext(headless) {
+  return {
+    launcher: puppeteer,
+    launchOptions: {
+      headless,
+      defaultViewport: DEFAULT_VIEWPORT,
+      args: [
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-dev-shm-usage",
+        "--disable-blink-features=AutomationControlled",
+        "--disable-features=VizDisplayCompositor",
+        "--disable-web-security",
+        "--disable-features=site-per-process",
+        "--disable-extensions",
+        "--disable-plugins",
+        "--disable-images",
+        "--disable-javascript-harmony-shipping",
+        "--disable-background-timer-throttling",
+        "--disable-backgrounding-occluded-windows",
+        "--disable-renderer-backgrounding",
+        "--disable-field-trial-config",
+        "--disable-back-forward-cache",
+        "--disable-ipc-flooding-protection",
+        "--window-size=1366,768",
+      ],
+      ignoreDefaultArgs: ["--enable-automation"],
+      slowMo: 50,
+    },
+  };
 }
 
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+// Set realistic headers and user agent for Facebook
+async function preparePage({ page }) {
+  await page.setUserAgent(
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+  );
 
-/* --------------------------- Human-like actions -------------------------- */
+  await page.setExtraHTTPHeaders({
+    "Accept-Language": "en-US,en;q=0.9",
+    "Accept-Encoding": "gzip, deflate, br",
+    Accept:
+      "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8",
+    Connection: "keep-alive",
+    "Upgrade-Insecure-Requests": "1",
+    "Sec-Fetch-Dest": "document",
+    "Sec-Fetch-Mode": "navigate",
+    "Sec-Fetch-Site": "none",
+    "Cache-Control": "max-age=0",
+  });
 
-async function humanType(elementHandle, text, opts = {}) {
-  const { min = 80, max = 200 } = opts;
-  await elementHandle.click({ clickCount: 3 }); // Select all existing text
-  await delay(rand(100, 300));
+  // Override webdriver detection
+  await page.evaluateOnNewDocument(() => {
+    Object.defineProperty(navigator, "webdriver", {
+      get: () => undefined,
+    });
 
-  for (const char of text) {
-    await elementHandle.type(char);
-    await delay(rand(min, max));
-  }
-}
+    // Remove automation indicators
+    if (window.chrome && window.chrome.runtime) {
+      delete window.chrome.runtime.onConnect;
+    }
 
-async function humanMove(page, from, to, steps = 20) {
-  const dx = (to.x - from.x) / steps;
-  const dy = (to.y - from.y) / steps;
-  for (let i = 0; i <= steps; i += 1) {
-    const x = Math.round(from.x + dx * i + (Math.random() * 4 - 2));
-    const y = Math.round(from.y + dy * i + (Math.random() * 4 - 2));
-    await page.mouse.move(x, y);
-    await delay(rand(5, 30));
-  }
-}
+    // Mock plugins
+    Object.defineProperty(navigator, "plugins", {
+      get: () => [1, 2, 3, 4, 5],
+    });
 
-async function humanScroll(page, distance = 300, steps = 10) {
-  for (let i = 0; i < steps; i += 1) {
-    await page.evaluate((amount) => {
-      window.scrollBy(0, amount);
-    }, Math.round(distance / steps));
-    await delay(rand(100, 350));
-  }
+    // Mock languages
+    Object.defineProperty(navigator, "languages", {
+      get: () => ["en-US", "en"],
+    });
+  });
 }
 
-async function humanClick(page, element) {
-  const box = await element.boundingBox();
-  if (box) {
-    const x = box.x + box.width / 2 + rand(-5, 5);
-    const y = box.y + box.height / 2 + rand(-5, 5);
-    await humanMove(page, { x: 100, y: 100 }, { x, y }, 15);
-    await element.click({ delay: rand(50, 150) });
-  }
+// Crawler options for the browser, shared by every mode
+function browserOptions(headless) {
+  return {
+    launchContext: launchContext(headless),
+    // Fingerprints would override preparePage's user agent and headers
+    browserPoolOptions: { useFingerprints: false },
+    preNavigationHooks: [preparePage],
+  };
 }
 
-/* -------------------------- Cookie Persistence -------------------------- */
+/* --------------------------------- Output --------------------------------- */
 
-async function saveCookies(page, email) {
-  const cookies = await page.cookies();
-  await Actor.setValue(
-    `cookies-${email.replace(/[^a-z0-9_\-\.@]/gi, "_")}`,
-    cookies
+function buildOutput(profiles, state, dryRun, messageLint) {
+  const { results } = state;
+  const successful = results.filter((r) => r.success).length;
+  const skipped = results.filter((r) => r.skipped).length;
+  const deferred = results.filter((r) => r.deferred).length;
+  const failures = results.filter(
+    (r) => !r.success && !r.skipped && !r.deferred
   );
-}
+  const failed = failures.length;
 
-async function loadCookies(page, email) {
-  const cookieKey = `cookies-${email.replace(/[^a-z0-9_\-\.@]/gi, "_")}`;
-  const cookies = await Actor.getValue(cookieKey);
-
-  if (cookies && Array.isArray(cookies)) {
-    try {
-      await page.setCookie(...cookies);
-      return true;
-    } catch (err) {
-      console.warn("Failed to set cookies:", err.message);
-      return false;
-    }
+  // Failed profiles per error code
+  const errorBreakdown = {};
+  for (const r of failures) {
+    const code = r.errorCode || "UNKNOWN";
+    errorBreakdown[code] = (errorBreakdown[code] || 0) + 1;
   }
-  return false;
-}
-
-/* -------------------------- reCAPTCHA Solving --------------------------- */
-
-async function solveRecaptchaAudio(page) {
-  console.log("🎵 Attempting to solve reCAPTCHA using audio challenge...");
 
-  try {
-    await delay(rand(1000, 2000));
-
-    // Wait for reCAPTCHA iframe
-    await page.waitForSelector('iframe[src*="recaptcha"]', { timeout: 10000 });
-
-    const frames = await page.frames();
-    let recaptchaFrame = frames.find((frame) =>
-      frame.url().includes("recaptcha/api2/anchor")
-    );
-
-    if (recaptchaFrame) {
-      // Click the checkbox
-      const checkbox = await recaptchaFrame.$("#recaptcha-anchor");
-      if (checkbox) {
-        await checkbox.click();
-        await delay(rand(2000, 3000));
-      }
-    }
-
-    // Look for challenge frame
-    await delay(1000);
-    const updatedFrames = await page.frames();
-    const challengeFrame = updatedFrames.find((frame) =>
-      frame.url().includes("recaptcha/api2/bframe")
-    );
-
-    if (!challengeFrame) {
-      console.log("✅ reCAPTCHA solved with checkbox click");
-      return true;
-    }
-
-    // For now, return false and let manual solving handle it
-    console.log("⚠️ reCAPTCHA requires manual intervention");
-    return false;
-  } catch (error) {
-    console.error("❌ reCAPTCHA audio solving failed:", error.message);
-    return false;
-  }
+  return {
+    summary: {
+      // In a dry run, "successful" counts profiles that could be messaged
+      dryRun,
+      totalProfiles: profiles.length,
+      processed: results.length,
+      successful,
+      failed,
+      skipped,
+      deferred,
+      successRate: `${Math.round((successful / profiles.length) * 100)}%`,
+      errorBreakdown,
+      // Usage when the send quota ran out and the rest were deferred
+      quotaExhausted: state.quotaExhausted || null,
+      // Why the circuit breaker stopped the run; the rest are still queued
+      haltedReason: state.haltedReason || null,
+      // reused, refreshed, re-logged-in or invalid (see src/session.js)
+      sessionStatus: state.sessionStatus || null,
+    },
+    // Warnings the message lint raised before the run
+    messageLint,
+    results,
+  };
 }
 
-async function solveCaptcha(page, headless) {
-  console.log("🔍 Detecting CAPTCHA...");
-
-  const captchaPresent = await page.evaluate(() => {
-    const frames = Array.from(document.querySelectorAll("iframe"));
-    const hasRecaptcha = frames.some((f) =>
-      (f.src || "").toLowerCase().includes("recaptcha")
-    );
-    const overlay = !!document.querySelector(
-      '.captcha, [id*="captcha"], [class*="captcha"]'
-    );
-    return hasRecaptcha || overlay;
+/* ------------------------------ Follow-up modes ---------------------------- */
+
+// collectReplies and checkStatus: read the conversations of earlier sends,
+// send nothing
+async function runFollowUp(mode, input, credentials, headless) {
+  const { run, activity } = FOLLOW_UPS[mode];
+  // Profiles, when given, limit the check to those people
+  const only = input.profiles?.length ? validateProfiles(input.profiles) : null;
+  const targets = await sentConversations({
+    sourceDatasetId: input.sourceDatasetId,
+    profiles: only,
+  });
+  log.info(activity, {
+    step: "startup",
+    source: input.sourceDatasetId || "send ledger",
+    conversations: targets.length,
+    headless,
   });
 
-  if (!captchaPresent) return true;
-
-  // Try audio challenge method
-  const audioSolved = await solveRecaptchaAudio(page);
-  if (audioSolved) return true;
-
-  // If running in non-headless mode, allow manual solving
-  if (!headless) {
-    console.log("⏳ Waiting for manual CAPTCHA solve (3 minutes)...");
-    const maxWait = 3 * 60 * 1000;
-    const start = Date.now();
-
-    while (Date.now() - start < maxWait) {
-      const stillPresent = await page.evaluate(() => {
-        const frames = Array.from(document.querySelectorAll("iframe"));
-        return frames.some((f) =>
-          (f.src || "").toLowerCase().includes("recaptcha")
-        );
-      });
-
-      if (!stillPresent) {
-        console.log("✅ CAPTCHA solved manually");
-        return true;
-      }
+  const summary = await run(
+    targets,
+    { credentials, headless },
+    browserOptions(headless)
+  );
+  log.info("Actor completed", { step: "summary", ...summary });
+  await Actor.setValue("OUTPUT", {
+    summary: { mode, ...summary },
+  });
 
-      await delay(2000);
-    }
+  if (summary.haltedReason) {
+    await Actor.fail(`Run halted: ${summary.haltedReason}`);
   }
-
-  return false;
 }
 
-/* ---------------------------- Login Detection & Handling --------------------------- */
-
-async function isLoginRequired(page) {
-  // Check if we're on a login page or redirected to login
-  const currentUrl = page.url();
-  const isLoginPage =
-    currentUrl.includes("/login") ||
-    currentUrl.includes("/signin") ||
-    currentUrl.includes("login.facebook.com") ||
-    currentUrl.includes("m.facebook.com/login");
+/* ------------------------------- Audit export ------------------------------ */
 
-  if (isLoginPage) return true;
-
-  // Check for login-related elements on the page
-  const loginElements = await page.evaluate(() => {
-    const hasLoginForm = !!document.querySelector(
-      'input[name="email"], input[type="email"], #email'
-    );
-    const hasPasswordField = !!document.querySelector(
-      'input[name="pass"], input[name="password"], input[type="password"]'
-    );
-    const hasLoginButton = !!document.querySelector(
-      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"]'
-    );
-    const hasLoginText =
-      document.body.textContent.toLowerCase().includes("log in") ||
-      document.body.textContent.toLowerCase().includes("sign in");
-
-    return hasLoginForm && hasPasswordField && (hasLoginButton || hasLoginText);
+// exportAudit mode: writes the audit trail for a date range, sends nothing
+async function runAuditExport(input) {
+  const summary = await exportAudit({
+    from: input.auditFrom,
+    to: input.auditTo,
+    format: input.auditFormat || "jsonl",
+  });
+  log.info("Exported the audit log", { step: "audit", ...summary });
+  await Actor.setValue("OUTPUT", {
+    summary: {
+      mode: "exportAudit",
+      from: input.auditFrom || null,
+      to: input.auditTo || null,
+      ...summary,
+    },
   });
-
-  return loginElements;
 }
 
-async function performFacebookLogin(page, email, password) {
-  console.log("🔐 Performing Facebook login...");
-
-  try {
-    // Wait for login form
-      await page.waitForSelector('input[name="email"], input[type="email"]', { timeout: 10000 });
-    
-    // Fill email
-    const emailField = await page.$('input[name="email"], input[type="email"]');
-    if (emailField) {
-      await humanClick(page, emailField);
-      await delay(rand(300, 600));
-      await humanType(emailField, email, { min: 80, max: 180 });
-      await delay(rand(400, 800));
-    } else {
-      throw new Error('Email field not found');
-    }
-
-    // --- Fill password ---
-    const passwordSelector = 'input[name="pass"], input[type="password"]';
-    const passwordField = await page.$(passwordSelector);
-    if (passwordField) {
-      await humanClick(page, passwordField);            // ✅ click handle
-      await delay(rand(300, 600));
-      await humanType(passwordSelector, password, { min: 80, max: 180 }); // ✅ type selector
-      await delay(rand(500, 1000));
-    } else {
-      throw new Error("Password field not found");
-    }
-
-    // --- Click login button ---
-    const loginButton = await page.$(
-      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"], button[type="submit"]'
-    );
-    if (loginButton) {
-      await humanClick(page, loginButton); // ✅ handle
-    } else {
-      console.warn("⚠️ Login button not found, pressing Enter as fallback...");
-      await page.keyboard.press("Enter");
-    }
-
-    console.log("⏳ Waiting for login to complete...");
-
-    // --- Wait for navigation or login ---
-    await Promise.race([
-      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 15000 }),
-      delay(5000), // FB sometimes AJAX refreshes without full navigation
-    ]);
-
-    await delay(rand(2000, 4000));
-
-    // --- CAPTCHA check ---
-    const captchaPresent = await page.evaluate(() => {
-      const frames = Array.from(document.querySelectorAll("iframe"));
-      const hasRecaptcha = frames.some((f) =>
-        (f.src || "").toLowerCase().includes("recaptcha")
-      );
-      const hasCaptchaText =
-        document.body.textContent.toLowerCase().includes("security check") ||
-        document.body.textContent.toLowerCase().includes("verify") ||
-        !!document.querySelector('[id*="captcha"], [class*="captcha"]');
-      return hasRecaptcha || hasCaptchaText;
-    });
+/* ------------------------------- Main Actor -------------------------------- */
 
-    if (captchaPresent) {
-      console.log("🚨 CAPTCHA detected during login");
-      const solved = await solveCaptcha(page);
-      if (!solved) {
-        throw new Error("CAPTCHA could not be solved during login");
-      }
-      await delay(rand(3000, 5000));
-    }
+Actor.main(async () => {
+  const actorStart = Date.now();
+  log.info("Facebook Messenger Actor starting", { step: "startup" });
 
-    // --- Check success ---
-    const stillOnLoginPage = await isLoginRequired(page);
-    if (stillOnLoginPage) {
-      const errorMessage = await page.evaluate(() => {
-        const errorElements = document.querySelectorAll(
-          '[role="alert"], .error, [id*="error"]'
-        );
-        for (const el of errorElements) {
-          if (el.textContent.trim()) return el.textContent.trim();
-        }
-        return null;
-      });
-
-      if (errorMessage) {
-        throw new Error(`Login failed: ${errorMessage}`);
-      } else {
-        throw new Error("Login failed: Still on login page");
-      }
-    }
+  //   Get input from Apify
+  // Get inputs from Apify or environment
+  const input = (await Actor.getInput()) || {};
+  const mode = input.mode || "send";
 
-    console.log("✅ Facebook login successful!");
-    return true;
-  } catch (error) {
-    console.error("❌ Facebook login failed:", error.message);
-    throw error;
+  if (!MODES.includes(mode)) {
+    throw new Error(`❌ mode must be one of: ${MODES.join(", ")}`);
+  }
+  // Reads the audit log only, so it needs no login
+  if (mode === "exportAudit") {
+    await runAuditExport(input);
+    return;
   }
-}
-
-/* ------------------------- Send message to profile ------------------------ */
-
-async function sendMessageToProfile(page, profile, message, email, headless) {
-  const start = Date.now();
-  let messageButtonPresent = "No";
-  let messageSent = "No";
-
-  try {
-    console.log(`\n🎯 Processing profile: ${profile.id}`);
-    console.log(`🔗 URL: ${profile.url}`);
-
-    // Load cookies first to maintain session
-    if (email) {
-      await loadCookies(page, email);
-    }
-
-    // Navigate with retry mechanism
-    console.log("🌐 Navigating to profile...");
-    let navigationSuccess = false;
-    let attempt = 0;
-    const maxAttempts = 3;
-
-    while (!navigationSuccess && attempt < maxAttempts) {
-      try {
-        attempt++;
-        console.log(`   Attempt ${attempt}/${maxAttempts}...`);
-
-        await page.goto(profile.url, {
-          waitUntil: "domcontentloaded",
-          timeout: 45000,
-        });
-
-        await delay(rand(3000, 6000));
-
-        const pageLoaded = await page.evaluate(() => {
-          return (
-            document.readyState === "complete" ||
-            document.querySelector("body") !== null
-          );
-        });
-
-        if (pageLoaded) {
-          navigationSuccess = true;
-          console.log("✅ Page loaded successfully");
-        } else {
-          throw new Error("Page did not load properly");
-        }
-      } catch (navError) {
-        console.log(
-          `⚠️ Navigation attempt ${attempt} failed: ${navError.message}`
-        );
-        if (attempt === maxAttempts) {
-          throw new Error(
-            `Failed to load profile after ${maxAttempts} attempts: ${navError.message}`
-          );
-        }
-        await delay(rand(2000, 4000));
-      }
-    }
 
-    // Check if login required
-    const needsLogin = await isLoginRequired(page);
-    if (needsLogin) {
-      console.log("🔒 Login required, authenticating...");
-      await performFacebookLogin(
-        page,
-        email,
-        process.env.LOGIN_PASSWORD || "",
-        headless
+  // Only a send needs profiles and a message; the follow-up modes ignore the
+  // message and use profiles, when given, to limit the check
+  const inputProfiles = input.profiles;
+  const { message } = input;
+  if (mode === "send") {
+    if (!Array.isArray(inputProfiles) || inputProfiles.length === 0) {
+      throw new Error(
+        "❌ profiles array is required and must contain at least one profile"
       );
-      await saveCookies(page, email);
-
-      console.log("🔄 Returning to profile after login...");
-      await page.goto(profile.url, {
-        waitUntil: "domcontentloaded",
-        timeout: 45000,
-      });
-      await delay(rand(3000, 5000));
     }
-
-    // Human-like behavior
-    console.log("👀 Simulating human browsing behavior...");
-    await humanScroll(page, rand(200, 500), rand(3, 6));
-    await delay(rand(2000, 4000));
-
-    // Look for messaging interface
-    console.log("🔍 Looking for messaging interface...");
-    const messageButtonSelector = 'div[aria-label="Message"][role="button"]';
-
-    let messageButton = null;
-    try {
-      console.log("Trying primary message button selector...");
-      messageButton = await page.$(messageButtonSelector);
-
-      if (!messageButton) {
-        throw new Error("Profile unavailable or no messaging option found");
-      }
-
-      console.log("🖱️ Clicking message button...");
-      await humanClick(page, messageButton);
-      messageButtonPresent = "Yes";
-
-      await Promise.race([
-        page.waitForSelector('div[contenteditable="true"]', { timeout: 15000 }),
-        page.waitForSelector("textarea", { timeout: 15000 }),
-        page.waitForNavigation({
-          waitUntil: "domcontentloaded",
-          timeout: 15000,
-        }),
-        delay(10000),
-      ]);
-
-      await delay(rand(2000, 4000));
-
-      const messageInputSelectors = [
-        'div[aria-label="Message"][role="textbox"][contenteditable="true"]',
-      ];
-
-      let messageInput = null;
-      for (const selector of messageInputSelectors) {
-        try {
-          messageInput = await page.$(selector);
-          if (messageInput) {
-            console.log(`⌨️ Found message input with selector: ${selector}`);
-            break;
-          }
-        } catch (e) {}
-      }
-
-      if (messageInput) {
-        console.log("📝 Typing message...");
-        await humanClick(page, messageInput);
-        await delay(rand(500, 1000));
-
-        const isContentEditable = await messageInput.evaluate(
-          (el) => el.contentEditable === "true"
-        );
-        if (isContentEditable) {
-          await messageInput.focus();
-          await page.keyboard.down("Control");
-          await page.keyboard.press("a");
-          await page.keyboard.up("Control");
-          await delay(100);
-          await messageInput.type(message);
-        } else {
-          await humanType(messageInput, message, { min: 100, max: 250 });
-        }
-
-        await delay(rand(1000, 2000));
-
-        const sendSelectors = [
-          'div.xsrhx6k[role="button"]',
-          "div.x5yr21d svg.xsrhx6k",
-          'svg.xsrhx6k[aria-label="Send"]',
-        ];
-
-        let sendButton = null;
-        for (const selector of sendSelectors) {
-          try {
-            sendButton = await page.$(selector);
-            if (sendButton) {
-              console.log(`📤 Found send button with selector: ${selector}`);
-              break;
-            }
-          } catch (e) {}
-        }
-
-        if (sendButton) {
-          console.log("📤 Sending message...");
-          await humanClick(page, sendButton);
-          messageSent = "Yes";
-        } else {
-          console.log("📤 Trying Enter key to send...");
-          await page.keyboard.press("Enter");
-          messageSent = "Yes";
-        }
-
-        await delay(rand(4000, 7000));
-        console.log("✅ Message sent successfully!");
-      } else {
-        throw new Error("Message input field not found");
-      }
-    } catch (err) {
-      throw new Error("Profile unavailable or no messaging option found");
+    if (!message || typeof message !== "string") {
+      throw new Error("❌ message is required and must be a string");
     }
-
-    const duration = Date.now() - start;
-    return {
-      success: true,
-      profileId: profile.id,
-      url: profile.url,
-      durationMs: duration,
-      message: message.substring(0, 50) + (message.length > 50 ? "..." : ""),
-      messageButtonPresent,
-      messageSent,
-    };
-  } catch (err) {
-    const duration = Date.now() - start;
-    console.error(`❌ Failed to send message to ${profile.id}: ${err.message}`);
-    return {
-      success: false,
-      profileId: profile.id,
-      url: profile.url,
-      error: err.message,
-      durationMs: duration,
-      messageButtonPresent,
-      messageSent,
-    };
   }
-}
 
-/* ------------------------------- Main Actor -------------------------------- */
-
-Actor.main(async () => {
-  console.log("🤖 Facebook Messenger Actor starting...");
-
-  //   Get input from Apify
-  // Get inputs from Apify or environment
-  const input = (await Actor.getInput()) || {};
-  console.log("Loaded input:", input);
-
-  const loginEmail =
-    "adedokunfemi14@gmail.com" || process.env.LOGIN_EMAIL || input.loginEmail;
-  const loginPassword =
-    "Adedokun@1900" || process.env.LOGIN_PASSWORD || input.loginPassword;
-  const profiles = input.profiles || [
-    { id: "profile-001", url: "https://www.facebook.com/terri.lopez.9659283" },
-    {
-      id: "profile-002",
-      url: "https://www.facebook.com/profile.php?id=61559986547821",
-    },
-  ];
-  const message = input.message || "Hello World";
+  // Input secret, then environment variables, then key-value store
+  const credentials = await resolveCredentials(input);
+  registerSecrets(credentials.email, credentials.password);
+  log.info("Loaded input", { step: "startup", input });
   const headless = input.headless || false;
+  const dedupeWindowDays = input.dedupeWindowDays ?? 30;
+  const force = input.force === true;
+  const dryRun = input.dryRun === true;
+  const quota = {
+    hourly: input.maxMessagesPerHour ?? 10,
+    daily: input.maxMessagesPerDay ?? 40,
+  };
+  const maxConsecutiveFailures = input.maxConsecutiveFailures ?? 5;
+  // Recorded with every send attempt in the audit log
+  const operator = input.operator || Actor.getEnv().userId || null;
+
+  if (FOLLOW_UPS[mode]) {
+    await runFollowUp(mode, input, credentials, headless);
+    return;
+  }
 
-  // ✅ Validate resolved values
-  if (!loginEmail || !loginPassword) {
-    throw new Error(
-      "❌ loginEmail and loginPassword are required inputs (via .env or INPUT.json)"
-    );
+  // Every bad entry is reported at once, before the browser is launched
+  const profiles = validateProfiles(inputProfiles);
+  const rewritten = profiles
+    .map((profile, i) => ({
+      id: profile.id,
+      from: inputProfiles[i].url,
+      to: profile.url,
+    }))
+    .filter(({ from, to }) => from !== to);
+  if (rewritten.length > 0) {
+    log.info("Canonicalized profile URLs", {
+      step: "startup",
+      profiles: rewritten,
+    });
   }
 
-  if (!profiles || !Array.isArray(profiles) || profiles.length === 0) {
+  // Problems with the message stop the run before login; warnings go to OUTPUT
+  const messageLint = lintMessage(message, profiles);
+  for (const finding of messageLint) {
+    log.warning("Message lint", { step: "lint", ...finding });
+  }
+  const blocking = blockingFindings(messageLint);
+  if (blocking.length > 0) {
+    await Actor.setValue("OUTPUT", {
+      summary: { totalProfiles: profiles.length, blocked: true },
+      messageLint,
+    });
     throw new Error(
-      "❌ profiles array is required and must contain at least one profile"
+      `❌ message lint found ${blocking.length} blocking problem(s): ${blocking
+        .map((f) => f.code)
+        .join(", ")}`
     );
   }
 
-  if (!message || typeof message !== "string") {
-    throw new Error("❌ message is required and must be a string");
+  // Local paths or key-value store keys; fails the run before anyone is
+  // messaged when one cannot be found
+  const attachments = await resolveAttachments(input.attachments || []);
+
+  // Approved campaigns: a preview run issues the token the sending run needs
+  const campaignInput = { profiles, message, attachments };
+  if (input.approvalToken) {
+    const approval = await verifyApproval(input.approvalToken, campaignInput, {
+      dryRun,
+    });
+    log.info("Approval token accepted", {
+      step: "approval",
+      issuedAt: approval.createdAt,
+      issuedByRun: approval.runId,
+      claimed: !dryRun,
+    });
+  } else if (input.requireApproval === true) {
+    const approval = await createApproval(campaignInput);
+    const incomplete = approval.previews.filter((p) => p.missing.length > 0);
+    log.info("Messages rendered for approval, nothing was sent", {
+      step: "approval",
+      approvalToken: approval.token,
+      previews: approval.previews.length,
+      incomplete: incomplete.length,
+    });
+    await Actor.setValue("OUTPUT", {
+      summary: {
+        approvalRequired: true,
+        approvalToken: approval.token,
+        inputHash: approval.inputHash,
+        totalProfiles: profiles.length,
+        incomplete: incomplete.length,
+      },
+      messageLint,
+    });
+    return;
   }
 
-  //   const {
-  //     loginEmail,
-  //     loginPassword,
-  //     profiles,
-  //     message,
-  //     headless = true,
-  //   } = input;
-
-  console.log(`📧 Login email: ${loginEmail}`);
-  console.log(`📝 Message: "${message}"`);
-  console.log(`👥 Profiles to process: ${profiles.length}`);
-  console.log(`🤖 Headless mode: ${headless}`);
-
-  // Launch browser with Apify's configuration
-  const browser = await puppeteer.launch({
-    headless,
-    defaultViewport: DEFAULT_VIEWPORT,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-blink-features=AutomationControlled",
-      "--disable-features=VizDisplayCompositor",
-      "--disable-web-security",
-      "--disable-features=site-per-process",
-      "--disable-extensions",
-      "--disable-plugins",
-      "--disable-images",
-      "--disable-javascript-harmony-shipping",
-      "--disable-background-timer-throttling",
-      "--disable-backgrounding-occluded-windows",
-      "--disable-renderer-backgrounding",
-      "--disable-field-trial-config",
-      "--disable-back-forward-cache",
-      "--disable-ipc-flooding-protection",
-      "--window-size=1366,768",
-    ],
-    ignoreDefaultArgs: ["--enable-automation"],
-    slowMo: 50,
+  // Apply this run's do-not-contact changes before anyone is messaged
+  const suppressionList = await updateSuppressionList({
+    add: input.suppressAdd || [],
+    remove: input.suppressRemove || [],
   });
 
-  const page = await browser.newPage();
-
-  // Set realistic headers and user agent for Facebook
-  await page.setUserAgent(
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-  );
-
-  await page.setExtraHTTPHeaders({
-    "Accept-Language": "en-US,en;q=0.9",
-    "Accept-Encoding": "gzip, deflate, br",
-    Accept:
-      "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8",
-    Connection: "keep-alive",
-    "Upgrade-Insecure-Requests": "1",
-    "Sec-Fetch-Dest": "document",
-    "Sec-Fetch-Mode": "navigate",
-    "Sec-Fetch-Site": "none",
-    "Cache-Control": "max-age=0",
+  log.info("Run configuration", {
+    step: "startup",
+    credentialSources: credentials.sources,
+    message,
+    attachments: attachments.map(({ name, source, size }) => ({
+      name,
+      source,
+      size,
+    })),
+    profileCount: profiles.length,
+    suppressedEntries: suppressionList.size,
+    dedupeWindowDays,
+    force,
+    dryRun,
+    operator,
+    quota,
+    maxConsecutiveFailures,
+    headless,
   });
 
-  // Override webdriver detection
-  await page.evaluateOnNewDocument(() => {
-    Object.defineProperty(navigator, "webdriver", {
-      get: () => undefined,
-    });
-
-    // Remove automation indicators
-    if (window.chrome && window.chrome.runtime) {
-      delete window.chrome.runtime.onConnect;
-    }
-
-    // Mock plugins
-    Object.defineProperty(navigator, "plugins", {
-      get: () => [1, 2, 3, 4, 5],
-    });
-
-    // Mock languages
-    Object.defineProperty(navigator, "languages", {
-      get: () => ["en-US", "en"],
-    });
+  // Resume after a migration or restart instead of starting over
+  const state = await Actor.useState(STATE_KEY, {
+    planned: false,
+    current: null,
+    results: [],
   });
 
-  const results = [];
+  const saveProgress = async () => {
+    await Actor.setValue(STATE_KEY, state);
+    await Actor.setValue(
+      "OUTPUT",
+      buildOutput(profiles, state, dryRun, messageLint)
+    );
+  };
+
+  // The crawler pauses itself on these events; keep OUTPUT current for them
+  let stopReason = null;
+  const stop = (reason) => async () => {
+    stopReason = reason;
+    log.warning("Run is stopping, saving progress", { step: "resume", reason });
+    await saveProgress();
+  };
+  Actor.on("migrating", stop("migrating"));
+  Actor.on("aborting", stop("aborting"));
 
   try {
-    console.log(`📋 Processing ${profiles.length} profiles...`);
-
-    // First, try to establish a session by going to Facebook homepage
-    console.log("🏠 Establishing Facebook session...");
-    try {
-      await page.goto("https://www.facebook.com", {
-        waitUntil: "domcontentloaded",
-        timeout: 30000,
-      });
-      await delay(rand(2000, 4000));
-
-      // Load existing cookies if available
-      await loadCookies(page, loginEmail);
-      await page.reload({ waitUntil: "domcontentloaded" });
-      await delay(rand(2000, 3000));
-    } catch (homeError) {
-      console.log("⚠️ Could not load Facebook homepage, continuing anyway...");
-    }
-
     // Process each profile
-    for (let i = 0; i < profiles.length; i++) {
-      const profile = profiles[i];
-
-      console.log(`\n📍 Profile ${i + 1}/${profiles.length}`);
-
-      try {
-        // Add random delay between profiles (3-10 seconds)
-        if (i > 0) {
-          const pauseTime = rand(3000, 10000);
-          console.log(`⏸️ Pausing ${pauseTime}ms between profiles...`);
-          await delay(pauseTime);
-        }
-
-        const result = await sendMessageToProfile(
-          page,
-          profile,
-          message,
-          loginEmail,
-          headless
-        );
-
-        // Save result to Apify dataset
-        await Actor.pushData({
-          timestamp: new Date().toISOString(),
-          ...result,
-        });
-
-        results.push(result);
-      } catch (err) {
-        const fail = {
-          success: false,
-          profileId: profile.id,
-          url: profile.url,
-          error: err.message,
-          timestamp: new Date().toISOString(),
-          messageButtonPresent: "No",
-          messageSent: "No",
-        };
-
-        await Actor.pushData(fail);
-        results.push(fail);
-        console.error(`❌ Profile ${profile.id} failed:`, err.message);
-      }
-    }
+    await runCampaign(
+      profiles,
+      {
+        message,
+        attachments,
+        operator,
+        credentials,
+        headless,
+        suppressionList,
+        dedupeWindowDays,
+        force,
+        dryRun,
+        quota,
+        maxConsecutiveFailures,
+        state,
+        onProgress: saveProgress,
+      },
+      browserOptions(headless)
+    );
   } catch (err) {
-    console.error("💥 Fatal error during processing:", err);
+    log.exception(err, "Fatal error during processing", { step: "run" });
     throw err;
-  } finally {
-    console.log("🔒 Closing browser...");
-    await browser.close();
   }
 
   // Summary
-  const successful = results.filter((r) => r.success).length;
-  const failed = results.filter((r) => !r.success).length;
-
-  console.log("\n" + "=".repeat(50));
-  console.log("📊 FINAL RESULTS SUMMARY");
-  console.log("=".repeat(50));
-  console.log(`✅ Successful: ${successful}/${profiles.length}`);
-  console.log(`❌ Failed: ${failed}/${profiles.length}`);
-
-  if (failed > 0) {
-    console.log("\n❌ Failed profiles:");
-    results
-      .filter((r) => !r.success)
-      .forEach((r) => {
-        console.log(`   • ${r.profileId}: ${r.error}`);
-      });
-  }
-
-  if (successful > 0) {
-    console.log("\n✅ Successful profiles:");
-    results
-      .filter((r) => r.success)
-      .forEach((r) => {
-        console.log(`   • ${r.profileId}: ${Math.round(r.durationMs / 1000)}s`);
-      });
-  }
+  const { results } = state;
+  const output = buildOutput(profiles, state, dryRun, messageLint);
+
+  results.forEach((r) => {
+    let outcome = "Profile failed";
+    if (r.success) outcome = "Profile succeeded";
+    else if (r.skipped) outcome = "Profile skipped";
+    else if (r.deferred) outcome = "Profile deferred";
+
+    log.info(outcome, {
+      step: "summary",
+      profileId: r.profileId,
+      durationMs: r.durationMs,
+      skipped: r.skipped,
+      deferred: r.deferred,
+      errorCode: r.errorCode,
+      error: r.error,
+    });
+  });
 
-  console.log("\n🎉 Actor completed!");
+  if (state.quotaExhausted) stopReason = "quotaExhausted";
+  if (state.haltedReason) stopReason = "halted";
+  log.info(stopReason ? "Actor stopped early" : "Actor completed", {
+    step: "summary",
+    durationMs: Date.now() - actorStart,
+    stopReason,
+    ...output.summary,
+  });
 
   // Set final output
-  await Actor.setValue("OUTPUT", {
-    summary: {
-      totalProfiles: profiles.length,
-      successful,
-      failed,
-      successRate: `${Math.round((successful / profiles.length) * 100)}%`,
-    },
-    results,
-  });
+  await Actor.setValue("OUTPUT", output);
+
+  // Resurrecting the failed run continues with the profiles still queued
+  if (state.haltedReason) {
+    await Actor.fail(`Run halted: ${state.haltedReason}`);
+  }
 });
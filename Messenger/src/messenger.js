@@ -1,789 +1,697 @@
+import {
+  attachmentStatus,
+  confirmAttachments,
+  conversationAttachments,
+  findFileInput,
+  uploadAttachments,
+} from './attachments.js';
+import { saveCookies } from './cookies.js';
+import {
+  ERROR_CODES,
+  errorCode,
+  errorFields,
+  MessengerError,
+  withCode,
+} from './errors.js';
+import { forProfile } from './logger.js';
+import {
+  detectRestriction,
+  isLoginRequired,
+  performFacebookLogin,
+} from './login.js';
+import { delay, humanClick, humanScroll, rand } from './utils.js';
+
+/* ------------------------------ Session check ----------------------------- */
+
 /**
- * Apify Facebook Messenger Actor
- *
- * Enhanced Puppeteer automation script for sending messages on Facebook Messenger
- * with automatic login handling, reCAPTCHA solving, and human-like interactions.
- *
- * Input Schema:
- * {
- *   "loginEmail": "your-email@example.com",
- *   "loginPassword": "your-password",
- *   "profiles": [
- *     {"id": "profile-001", "url": "https://www.facebook.com/username"},
- *     {"id": "profile-002", "url": "https://www.facebook.com/profile.php?id=123456"}
- *   ],
- *   "message": "Your message text here",
- *   "headless": true
- * }
+ * Logs in when the current page is a login wall, saves the fresh cookies and
+ * goes back to `returnUrl`. Returns true when a login was performed. Throws
+ * ACCOUNT_RESTRICTED when Facebook shows a checkpoint or block instead.
  */
+export async function ensureLoggedIn(
+  page,
+  credentials,
+  headless,
+  logger,
+  returnUrl
+) {
+  const { email, password } = credentials;
+
+  const needsLogin = await isLoginRequired(page);
+  if (!needsLogin) {
+    await assertNotRestricted(page);
+    return false;
+  }
 
-const { Actor } = require("apify");
-const PuppeteerCrawler = require("crawlee");
-const puppeteer = require("puppeteer-extra");
-const StealthPlugin = require("puppeteer-extra-plugin-stealth");
-// import { PuppeteerCrawler } from 'crawlee';
-// import puppeteer from 'puppeteer-extra';
-// import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-
-// Use stealth plugin
-puppeteer.use(StealthPlugin());
-
-const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
-
-/* ---------------------------- Utility helpers ---------------------------- */
+  logger.info("Login required, authenticating", { step: "login" });
+  await performFacebookLogin(page, email, password, headless, logger);
+  await saveCookies(page, email);
 
-function rand(min = 100, max = 1000) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  if (returnUrl) {
+    logger.info("Returning to page after login", { step: "navigate" });
+    await page.goto(returnUrl, {
+      waitUntil: "domcontentloaded",
+      timeout: 45000,
+    });
+    await delay(rand(3000, 5000));
+    await assertNotRestricted(page);
+  }
+  return true;
 }
 
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * ACCOUNT_RESTRICTED error when the page shows a checkpoint or a block
+ * notice such as "You're temporarily blocked", otherwise null.
+ */
+export async function restrictionError(page) {
+  const restriction = await detectRestriction(page).catch(() => null);
+  if (!restriction) return null;
+  return new MessengerError(
+    ERROR_CODES.ACCOUNT_RESTRICTED,
+    `Account restricted: Facebook showed ${restriction}`
+  );
 }
 
-/* --------------------------- Human-like actions -------------------------- */
-
-async function humanType(elementHandle, text, opts = {}) {
-  const { min = 80, max = 200 } = opts;
-  await elementHandle.click({ clickCount: 3 }); // Select all existing text
-  await delay(rand(100, 300));
-
-  for (const char of text) {
-    await elementHandle.type(char);
-    await delay(rand(min, max));
-  }
+async function assertNotRestricted(page) {
+  const err = await restrictionError(page);
+  if (err) throw err;
 }
 
-async function humanMove(page, from, to, steps = 20) {
-  const dx = (to.x - from.x) / steps;
-  const dy = (to.y - from.y) / steps;
-  for (let i = 0; i <= steps; i += 1) {
-    const x = Math.round(from.x + dx * i + (Math.random() * 4 - 2));
-    const y = Math.round(from.y + dy * i + (Math.random() * 4 - 2));
-    await page.mouse.move(x, y);
-    await delay(rand(5, 30));
-  }
-}
+/* ------------------------------ Conversations ----------------------------- */
 
-async function humanScroll(page, distance = 300, steps = 10) {
-  for (let i = 0; i < steps; i += 1) {
-    await page.evaluate((amount) => {
-      window.scrollBy(0, amount);
-    }, Math.round(distance / steps));
-    await delay(rand(100, 350));
-  }
-}
+const THREAD_LINK_SELECTOR = [
+  'a[aria-label="Message"][href*="/messages/t/"]',
+  'a[aria-label="Message"][href*="messenger.com/t/"]',
+].join(", ");
 
-async function humanClick(page, element) {
-  const box = await element.boundingBox();
-  if (box) {
-    const x = box.x + box.width / 2 + rand(-5, 5);
-    const y = box.y + box.height / 2 + rand(-5, 5);
-    await humanMove(page, { x: 100, y: 100 }, { x, y }, 15);
-    await element.click({ delay: rand(50, 150) });
-  }
+/**
+ * Returns the conversation URL when the profile's Message button is a link to
+ * a Messenger thread instead of a button opening the chat popup.
+ */
+export async function findThreadLink(page) {
+  const link = await page.$(THREAD_LINK_SELECTOR);
+  return link ? link.evaluate((el) => el.href) : null;
 }
 
-/* -------------------------- Cookie Persistence -------------------------- */
+/**
+ * Reads the open conversation's header: { groupName, participantCount }.
+ * Either is null when the header does not show it.
+ */
+export async function readThreadHeader(page) {
+  return page.evaluate(() => {
+    const heading = document.querySelector(
+      '[role="main"] [role="banner"] h2, [role="banner"] h2'
+    );
+    if (!heading) return { groupName: null, participantCount: null };
 
-async function saveCookies(page, email) {
-  const cookies = await page.cookies();
-  await Actor.setValue(
-    `cookies-${email.replace(/[^a-z0-9_\-\.@]/gi, "_")}`,
-    cookies
-  );
+    const header = heading.closest('[role="banner"]');
+    const count = (header.innerText || "").match(
+      /(\d[\d,]*)\s+(members|people|participants)/i
+    );
+    return {
+      groupName: heading.innerText.trim() || null,
+      participantCount: count ? Number(count[1].replace(/,/g, "")) : null,
+    };
+  });
 }
 
-async function loadCookies(page, email) {
-  const cookieKey = `cookies-${email.replace(/[^a-z0-9_\-\.@]/gi, "_")}`;
-  const cookies = await Actor.getValue(cookieKey);
+/**
+ * Clicks the Message button of the profile loaded in `page` and waits for the
+ * chat to open. Throws NO_MESSAGE_BUTTON when the profile has none.
+ */
+export async function openChat(page, logger) {
+  // Look for messaging interface
+  logger.info("Looking for messaging interface", { step: "message-button" });
+  const messageButton = await page.$(
+    'div[aria-label="Message"][role="button"]'
+  );
 
-  if (cookies && Array.isArray(cookies)) {
-    try {
-      await page.setCookie(...cookies);
-      return true;
-    } catch (err) {
-      console.warn("Failed to set cookies:", err.message);
-      return false;
-    }
+  if (!messageButton) {
+    throw new MessengerError(
+      ERROR_CODES.NO_MESSAGE_BUTTON,
+      "Profile unavailable or no messaging option found"
+    );
   }
-  return false;
-}
 
-/* -------------------------- reCAPTCHA Solving --------------------------- */
+  logger.info("Clicking message button", { step: "message-button" });
+  await humanClick(page, messageButton);
 
-async function solveRecaptchaAudio(page) {
-  console.log("🎵 Attempting to solve reCAPTCHA using audio challenge...");
+  await Promise.race([
+    page.waitForSelector('div[contenteditable="true"]', { timeout: 15000 }),
+    page.waitForSelector("textarea", { timeout: 15000 }),
+    page.waitForNavigation({
+      waitUntil: "domcontentloaded",
+      timeout: 15000,
+    }),
+    delay(10000),
+  ]);
 
-  try {
-    await delay(rand(1000, 2000));
+  await delay(rand(2000, 4000));
+}
 
-    // Wait for reCAPTCHA iframe
-    await page.waitForSelector('iframe[src*="recaptcha"]', { timeout: 10000 });
+const COMPOSER_SELECTOR =
+  'div[aria-label="Message"][role="textbox"][contenteditable="true"]';
 
-    const frames = await page.frames();
-    let recaptchaFrame = frames.find((frame) =>
-      frame.url().includes("recaptcha/api2/anchor")
-    );
+/**
+ * Returns the open conversation's message field; throws COMPOSER_NOT_FOUND
+ * when there is none.
+ */
+export async function findComposer(page, logger) {
+  const messageInputSelectors = [COMPOSER_SELECTOR];
 
-    if (recaptchaFrame) {
-      // Click the checkbox
-      const checkbox = await recaptchaFrame.$("#recaptcha-anchor");
-      if (checkbox) {
-        await checkbox.click();
-        await delay(rand(2000, 3000));
+  let messageInput = null;
+  for (const selector of messageInputSelectors) {
+    try {
+      messageInput = await page.$(selector);
+      if (messageInput) {
+        logger.debug("Found message input", { step: "composer", selector });
+        break;
       }
+    } catch (err) {
+      // An invalid or stale selector only means trying the next one
+      logger.debug("Message input selector failed", {
+        step: "composer",
+        selector,
+        error: err.message,
+      });
     }
+  }
 
-    // Look for challenge frame
-    await delay(1000);
-    const updatedFrames = await page.frames();
-    const challengeFrame = updatedFrames.find((frame) =>
-      frame.url().includes("recaptcha/api2/bframe")
+  if (!messageInput) {
+    throw new MessengerError(
+      ERROR_CODES.COMPOSER_NOT_FOUND,
+      "Message input field not found"
     );
-
-    if (!challengeFrame) {
-      console.log("✅ reCAPTCHA solved with checkbox click");
-      return true;
-    }
-
-    // For now, return false and let manual solving handle it
-    console.log("⚠️ reCAPTCHA requires manual intervention");
-    return false;
-  } catch (error) {
-    console.error("❌ reCAPTCHA audio solving failed:", error.message);
-    return false;
   }
+  return messageInput;
 }
 
-async function solveCaptcha(page, headless) {
-  console.log("🔍 Detecting CAPTCHA...");
+/* --------------------------- Message composition -------------------------- */
 
-  const captchaPresent = await page.evaluate(() => {
-    const frames = Array.from(document.querySelectorAll("iframe"));
-    const hasRecaptcha = frames.some((f) =>
-      (f.src || "").toLowerCase().includes("recaptcha")
-    );
-    const overlay = !!document.querySelector(
-      '.captcha, [id*="captcha"], [class*="captcha"]'
-    );
-    return hasRecaptcha || overlay;
-  });
+// Attempts at getting the composer to hold exactly the message
+const FILL_ATTEMPTS = 2;
 
-  if (!captchaPresent) return true;
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
 
-  // Try audio challenge method
-  const audioSolved = await solveRecaptchaAudio(page);
-  if (audioSolved) return true;
+// Line endings, non-breaking spaces and a trailing line break vary by editor
+function normalizeComposerText(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\u00a0/g, " ")
+    .replace(/\n$/, "");
+}
 
-  // If running in non-headless mode, allow manual solving
-  if (!headless) {
-    console.log("⏳ Waiting for manual CAPTCHA solve (3 minutes)...");
-    const maxWait = 3 * 60 * 1000;
-    const start = Date.now();
+async function readComposer(input) {
+  return input.evaluate((el) =>
+    el.isContentEditable ? el.innerText : el.value
+  );
+}
 
-    while (Date.now() - start < maxWait) {
-      const stillPresent = await page.evaluate(() => {
-        const frames = Array.from(document.querySelectorAll("iframe"));
-        return frames.some((f) =>
-          (f.src || "").toLowerCase().includes("recaptcha")
-        );
-      });
+async function clearComposer(page, input) {
+  await input.focus();
+  await page.keyboard.down("Control");
+  await page.keyboard.press("a");
+  await page.keyboard.up("Control");
+  await page.keyboard.press("Backspace");
+  await delay(100);
+}
 
-      if (!stillPresent) {
-        console.log("✅ CAPTCHA solved manually");
-        return true;
+/**
+ * Writes the message into the composer without sending it. Text is inserted
+ * one grapheme at a time, so emoji and other non-BMP characters arrive
+ * whole, and newlines become Shift+Enter line breaks instead of sends. The
+ * composer is then read back; when it does not hold exactly the message it
+ * is cleared and filled again, and after that COMPOSER_MISMATCH is thrown.
+ */
+export async function fillComposer(page, input, message, logger) {
+  const expected = normalizeComposerText(message);
+  let actual = "";
+
+  for (let attempt = 1; attempt <= FILL_ATTEMPTS; attempt++) {
+    await clearComposer(page, input);
+
+    const lines = expected.split("\n");
+    for (const [i, line] of lines.entries()) {
+      if (i > 0) {
+        await page.keyboard.down("Shift");
+        await page.keyboard.press("Enter");
+        await page.keyboard.up("Shift");
+        await delay(rand(80, 200));
+      }
+      for (const { segment } of graphemes.segment(line)) {
+        await page.keyboard.sendCharacter(segment);
+        await delay(rand(40, 120));
       }
-
-      await delay(2000);
     }
+
+    actual = normalizeComposerText(await readComposer(input));
+    if (actual === expected) return;
+
+    logger.warning("Composer text does not match the message", {
+      step: "type",
+      attempt,
+      expectedLength: expected.length,
+      actualLength: actual.length,
+    });
   }
 
-  return false;
+  // Don't leave a garbled draft behind
+  await clearComposer(page, input);
+  throw new MessengerError(
+    ERROR_CODES.COMPOSER_MISMATCH,
+    `Composer text did not match the message after ${FILL_ATTEMPTS} attempts`
+  );
 }
 
-/* ---------------------------- Login Detection & Handling --------------------------- */
+/**
+ * Types the message into the open conversation's composer, with any
+ * `attachments` uploaded first so they go out in the same send, and checks
+ * that it reached the conversation. Returns { deliveryConfirmed,
+ * deliveryStatus, attachments }, plus `unconfirmedReason` when the check
+ * after pressing Send threw; throws when there is no composer or the
+ * attachments cannot be uploaded.
+ */
+export async function composeAndSend(page, message, logger, attachments = []) {
+  const messageInput = await findComposer(page, logger);
 
-async function isLoginRequired(page) {
-  // Check if we're on a login page or redirected to login
-  const currentUrl = page.url();
-  const isLoginPage =
-    currentUrl.includes("/login") ||
-    currentUrl.includes("/signin") ||
-    currentUrl.includes("login.facebook.com") ||
-    currentUrl.includes("m.facebook.com/login");
+  if (attachments.length > 0) {
+    await uploadAttachments(page, attachments, logger);
+  }
 
-  if (isLoginPage) return true;
+  logger.info("Typing message", { step: "type" });
+  await humanClick(page, messageInput);
+  await delay(rand(500, 1000));
 
-  // Check for login-related elements on the page
-  const loginElements = await page.evaluate(() => {
-    const hasLoginForm = !!document.querySelector(
-      'input[name="email"], input[type="email"], #email'
-    );
-    const hasPasswordField = !!document.querySelector(
-      'input[name="pass"], input[name="password"], input[type="password"]'
-    );
-    const hasLoginButton = !!document.querySelector(
-      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"]'
-    );
-    const hasLoginText =
-      document.body.textContent.toLowerCase().includes("log in") ||
-      document.body.textContent.toLowerCase().includes("sign in");
+  await fillComposer(page, messageInput, message, logger);
 
-    return hasLoginForm && hasPasswordField && (hasLoginButton || hasLoginText);
-  });
+  await delay(rand(1000, 2000));
 
-  return loginElements;
-}
+  const sendSelectors = [
+    'div.xsrhx6k[role="button"]',
+    "div.x5yr21d svg.xsrhx6k",
+    'svg.xsrhx6k[aria-label="Send"]',
+  ];
 
-async function performFacebookLogin(page, email, password) {
-  console.log("🔐 Performing Facebook login...");
+  let sendButton = null;
+  for (const selector of sendSelectors) {
+    try {
+      sendButton = await page.$(selector);
+      if (sendButton) {
+        logger.debug("Found send button", { step: "send", selector });
+        break;
+      }
+    } catch (err) {
+      logger.debug("Send button selector failed", {
+        step: "send",
+        selector,
+        error: err.message,
+      });
+    }
+  }
+
+  const before = await readConversation(page, message);
+  const attachmentsBefore = await conversationAttachments(page);
 
+  // Once Send is pressed the message may be out, so a failure from then on
+  // is reported as an unconfirmed send instead of thrown
+  let sendPressed = false;
   try {
-    // Wait for login form
-      await page.waitForSelector('input[name="email"], input[type="email"]', { timeout: 10000 });
-    
-    // Fill email
-    const emailField = await page.$('input[name="email"], input[type="email"]');
-    if (emailField) {
-      await humanClick(page, emailField);
-      await delay(rand(300, 600));
-      await humanType(emailField, email, { min: 80, max: 180 });
-      await delay(rand(400, 800));
+    if (sendButton) {
+      logger.info("Sending message", { step: "send" });
+      await humanClick(page, sendButton);
     } else {
-      throw new Error('Email field not found');
+      logger.info("Send button not found, pressing Enter to send", {
+        step: "send",
+      });
+      await page.keyboard.press("Enter");
     }
+    sendPressed = true;
 
-    // --- Fill password ---
-    const passwordSelector = 'input[name="pass"], input[type="password"]';
-    const passwordField = await page.$(passwordSelector);
-    if (passwordField) {
-      await humanClick(page, passwordField);            // ✅ click handle
-      await delay(rand(300, 600));
-      await humanType(passwordSelector, password, { min: 80, max: 180 }); // ✅ type selector
-      await delay(rand(500, 1000));
+    const delivery = await confirmDelivery(page, message, before.bubbles);
+    if (delivery.deliveryConfirmed) {
+      logger.info("Message delivery confirmed", {
+        step: "delivery",
+        deliveryStatus: delivery.deliveryStatus,
+      });
     } else {
-      throw new Error("Password field not found");
+      logger.warning("Message delivery not confirmed", {
+        step: "delivery",
+        ...delivery,
+      });
     }
 
-    // --- Click login button ---
-    const loginButton = await page.$(
-      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"], button[type="submit"]'
-    );
-    if (loginButton) {
-      await humanClick(page, loginButton); // ✅ handle
-    } else {
-      console.warn("⚠️ Login button not found, pressing Enter as fallback...");
-      await page.keyboard.press("Enter");
+    const delivered =
+      attachments.length > 0
+        ? await confirmAttachments(page, attachments, attachmentsBefore)
+        : [];
+    if (delivered.length < attachments.length) {
+      logger.warning("Not every attachment reached the conversation", {
+        step: "delivery",
+        delivered,
+      });
     }
+    return {
+      ...delivery,
+      attachments: attachmentStatus(attachments, delivered),
+    };
+  } catch (err) {
+    if (!sendPressed) throw err;
+    logger.warning("Could not check the message after sending", {
+      step: "delivery",
+      error: err.message,
+    });
+    return {
+      deliveryConfirmed: false,
+      deliveryStatus: null,
+      attachments: attachmentStatus(attachments),
+      unconfirmedReason: err.message,
+    };
+  }
+}
 
-    console.log("⏳ Waiting for login to complete...");
-
-    // --- Wait for navigation or login ---
-    await Promise.race([
-      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 15000 }),
-      delay(5000), // FB sometimes AJAX refreshes without full navigation
-    ]);
-
-    await delay(rand(2000, 4000));
+/* ------------------------- Delivery verification -------------------------- */
 
-    // --- CAPTCHA check ---
-    const captchaPresent = await page.evaluate(() => {
-      const frames = Array.from(document.querySelectorAll("iframe"));
-      const hasRecaptcha = frames.some((f) =>
-        (f.src || "").toLowerCase().includes("recaptcha")
-      );
-      const hasCaptchaText =
-        document.body.textContent.toLowerCase().includes("security check") ||
-        document.body.textContent.toLowerCase().includes("verify") ||
-        !!document.querySelector('[id*="captcha"], [class*="captcha"]');
-      return hasRecaptcha || hasCaptchaText;
-    });
+const DELIVERY_TIMEOUT_MS = 15000;
 
-    if (captchaPresent) {
-      console.log("🚨 CAPTCHA detected during login");
-      const solved = await solveCaptcha(page);
-      if (!solved) {
-        throw new Error("CAPTCHA could not be solved during login");
-      }
-      await delay(rand(3000, 5000));
-    }
+// Parts of a conversation row that are the message itself: text bubble,
+// sender heading and attachment links. Receipts are only read from the rest
+// of the row, so a message starting with "Sent" or "Seen" is not one
+export const MESSAGE_CONTENT_SELECTOR = '[dir="auto"], h4, h5, a';
 
-    // --- Check success ---
-    const stillOnLoginPage = await isLoginRequired(page);
-    if (stillOnLoginPage) {
-      const errorMessage = await page.evaluate(() => {
-        const errorElements = document.querySelectorAll(
-          '[role="alert"], .error, [id*="error"]'
+/**
+ * Reads the open conversation: how many message bubbles show `message`, the
+ * delivery status shown next to the newest of them, and whether the composer
+ * is empty. Status is Sending, Sent, Delivered, Failed or null when Messenger
+ * shows none.
+ */
+async function readConversation(page, message) {
+  return page.evaluate(
+    (text, composerSelector, contentSelector) => {
+      const normalize = (value) => value.replace(/\s+/g, " ").trim();
+      const wanted = normalize(text);
+
+      const bubbles = Array.from(
+        document.querySelectorAll('[role="row"] [dir="auto"]')
+      ).filter((el) => normalize(el.innerText || "") === wanted);
+
+      // Seen implies Delivered; Messenger's failure notices vary in wording
+      const labels = [
+        [/^(failed to send|message failed to send|couldn't send)/i, "Failed"],
+        [/^seen/i, "Delivered"],
+        [/^delivered/i, "Delivered"],
+        [/^sent/i, "Sent"],
+        [/^sending/i, "Sending"],
+      ];
+      let status = null;
+      const last = bubbles[bubbles.length - 1];
+      const row = last && last.closest('[role="row"]');
+      if (row) {
+        const candidates = Array.from(
+          row.querySelectorAll("[aria-label], span")
+        ).filter(
+          (el) =>
+            !el.closest(contentSelector) && !el.querySelector(contentSelector)
         );
-        for (const el of errorElements) {
-          if (el.textContent.trim()) return el.textContent.trim();
+        for (const el of candidates) {
+          const label = (el.getAttribute("aria-label") || "").trim();
+          const own = el.children.length === 0 ? normalize(el.innerText) : "";
+          const match = labels.find(
+            ([pattern]) => pattern.test(label) || pattern.test(own)
+          );
+          if (match) {
+            [, status] = match;
+            break;
+          }
         }
-        return null;
-      });
-
-      if (errorMessage) {
-        throw new Error(`Login failed: ${errorMessage}`);
-      } else {
-        throw new Error("Login failed: Still on login page");
       }
+
+      const composer = document.querySelector(composerSelector);
+      return {
+        bubbles: bubbles.length,
+        status,
+        composerEmpty: !composer || normalize(composer.innerText || "") === "",
+      };
+    },
+    message,
+    COMPOSER_SELECTOR,
+    MESSAGE_CONTENT_SELECTOR
+  );
+}
+
+/**
+ * Waits for a new bubble with the sent text to appear and the composer to
+ * empty, then for Messenger to report it Sent or Delivered.
+ * Returns { deliveryConfirmed, deliveryStatus }, plus `unconfirmedReason`
+ * when no new bubble showed the text. Messenger may render the text
+ * differently (emoji as images, a link preview card), so that alone leaves
+ * the status unknown rather than Failed.
+ */
+async function confirmDelivery(page, message, bubblesBefore) {
+  const deadline = Date.now() + DELIVERY_TIMEOUT_MS;
+  let observed = null;
+
+  while (Date.now() < deadline) {
+    await delay(500);
+    observed = await readConversation(page, message);
+    const appeared = observed.bubbles > bubblesBefore;
+
+    if (appeared && observed.composerEmpty && observed.status !== "Sending") {
+      break;
     }
+  }
 
-    console.log("✅ Facebook login successful!");
-    return true;
-  } catch (error) {
-    console.error("❌ Facebook login failed:", error.message);
-    throw error;
+  const appeared = observed.bubbles > bubblesBefore;
+  if (!appeared) {
+    return {
+      deliveryConfirmed: false,
+      deliveryStatus: null,
+      unconfirmedReason: "no new message showed the sent text",
+    };
   }
+  // A bubble without a status label has left the composer: treat it as sent
+  const deliveryStatus = observed.status || "Sent";
+
+  return {
+    deliveryConfirmed:
+      observed.composerEmpty &&
+      (deliveryStatus === "Sent" || deliveryStatus === "Delivered"),
+    deliveryStatus,
+  };
 }
 
-/* ------------------------- Send message to profile ------------------------ */
+function truncate(message) {
+  return message.substring(0, 50) + (message.length > 50 ? "..." : "");
+}
 
-async function sendMessageToProfile(page, profile, message, email, headless) {
-  const start = Date.now();
-  let messageButtonPresent = "No";
-  let messageSent = "No";
+// Only Messenger's own Failed label counts as unsent: a message still Sending
+// may yet arrive, and one whose bubble was not recognized may have gone out
+function sentUnlessFailed(delivery) {
+  return delivery.deliveryStatus === "Failed" ? "No" : "Yes";
+}
 
-  try {
-    console.log(`\n🎯 Processing profile: ${profile.id}`);
-    console.log(`🔗 URL: ${profile.url}`);
+// Success means the delivery was confirmed, not just that Send was pressed,
+// and that every attachment arrived with it
+function deliveryOutcome({ unconfirmedReason, ...delivery }) {
+  const missing = delivery.attachments
+    .filter((a) => !a.delivered)
+    .map((a) => a.name);
+  let failure = null;
+  if (!delivery.deliveryConfirmed) {
+    failure = {
+      errorCode: ERROR_CODES.SEND_FAILED,
+      error: `Message delivery not confirmed (${unconfirmedReason || `status: ${delivery.deliveryStatus}`})`,
+    };
+  } else if (missing.length > 0) {
+    failure = {
+      errorCode: ERROR_CODES.ATTACHMENT_FAILED,
+      error: `Attachments not delivered: ${missing.join(", ")}`,
+    };
+  }
+  return { success: !failure, ...delivery, ...failure };
+}
 
-    // Load cookies first to maintain session
-    if (email) {
-      await loadCookies(page, email);
-    }
+// Dry runs only check the composer can take files; nothing is uploaded
+async function checkComposer(page, logger, attachments) {
+  await findComposer(page, logger);
+  if (attachments.length > 0) await findFileInput(page);
+  logger.info("Dry run: composer is open, not sending", { step: "dry-run" });
+}
 
-    // Navigate with retry mechanism
-    console.log("🌐 Navigating to profile...");
-    let navigationSuccess = false;
-    let attempt = 0;
-    const maxAttempts = 3;
+// Attachment entries for a result without a confirmed delivery
+function undelivered(attachments) {
+  return attachments.length > 0
+    ? { attachments: attachmentStatus(attachments) }
+    : {};
+}
 
-    while (!navigationSuccess && attempt < maxAttempts) {
-      try {
-        attempt++;
-        console.log(`   Attempt ${attempt}/${maxAttempts}...`);
+/* ------------------------- Send in a conversation ------------------------- */
 
-        await page.goto(profile.url, {
-          waitUntil: "domcontentloaded",
-          timeout: 45000,
-        });
+/**
+ * The composer and send routine shared by every entry path, once a
+ * conversation is open in `page`. Returns the result fields of the send; in a
+ * dry run only the composer is checked. Throws when there is no composer.
+ */
+async function sendInConversation(
+  page,
+  message,
+  logger,
+  { dryRun = false, attachments = [] }
+) {
+  if (dryRun) {
+    await checkComposer(page, logger, attachments);
+    return { success: true, messageSent: "No", ...undelivered(attachments) };
+  }
 
-        await delay(rand(3000, 6000));
+  const delivery = await composeAndSend(page, message, logger, attachments);
+  const outcome = {
+    ...deliveryOutcome(delivery),
+    messageSent: sentUnlessFailed(delivery),
+  };
+  // A block notice explains a delivery that was not confirmed
+  const restricted =
+    !delivery.deliveryConfirmed && (await restrictionError(page));
+  return restricted ? { ...outcome, ...errorFields(restricted) } : outcome;
+}
 
-        const pageLoaded = await page.evaluate(() => {
-          return (
-            document.readyState === "complete" ||
-            document.querySelector("body") !== null
-          );
-        });
+// Result fields for a profile that failed before anything was sent
+async function failedSend(page, caught, logger, start, attachments = []) {
+  // A block notice explains whatever went wrong before it
+  const err = (await restrictionError(page)) || caught;
+  const duration = Date.now() - start;
+  logger.error("Failed to send message", {
+    step: "done",
+    durationMs: duration,
+    errorCode: errorCode(err),
+    error: err.message,
+  });
+  return {
+    success: false,
+    ...errorFields(err),
+    durationMs: duration,
+    messageSent: "No",
+    deliveryConfirmed: false,
+    ...undelivered(attachments),
+  };
+}
 
-        if (pageLoaded) {
-          navigationSuccess = true;
-          console.log("✅ Page loaded successfully");
-        } else {
-          throw new Error("Page did not load properly");
-        }
-      } catch (navError) {
-        console.log(
-          `⚠️ Navigation attempt ${attempt} failed: ${navError.message}`
-        );
-        if (attempt === maxAttempts) {
-          throw new Error(
-            `Failed to load profile after ${maxAttempts} attempts: ${navError.message}`
-          );
-        }
-        await delay(rand(2000, 4000));
-      }
-    }
+/* ------------------------- Send message to profile ------------------------ */
+
+/**
+ * Messages the profile whose page is already loaded in `page` (navigation and
+ * its retries are left to the crawler). Never throws: failures come back as a
+ * result with `success: false`. With `dryRun` it stops once the composer is
+ * open, so `success` means the message could be sent. `attachments` (from
+ * resolveAttachments) are sent along with the text.
+ */
+export async function sendMessageToProfile(
+  page,
+  profile,
+  message,
+  credentials,
+  headless,
+  options = {}
+) {
+  const start = Date.now();
+  const logger = forProfile(profile.id);
+  let messageButtonPresent = "No";
+
+  try {
+    logger.info("Processing profile", { step: "start", url: profile.url });
+    await delay(rand(3000, 6000));
 
     // Check if login required
-    const needsLogin = await isLoginRequired(page);
-    if (needsLogin) {
-      console.log("🔒 Login required, authenticating...");
-      await performFacebookLogin(
-        page,
-        email,
-        process.env.LOGIN_PASSWORD || "",
-        headless
-      );
-      await saveCookies(page, email);
-
-      console.log("🔄 Returning to profile after login...");
-      await page.goto(profile.url, {
-        waitUntil: "domcontentloaded",
-        timeout: 45000,
-      });
-      await delay(rand(3000, 5000));
-    }
+    await ensureLoggedIn(page, credentials, headless, logger, profile.url);
 
     // Human-like behavior
-    console.log("👀 Simulating human browsing behavior...");
+    logger.debug("Simulating human browsing behavior", { step: "browse" });
     await humanScroll(page, rand(200, 500), rand(3, 6));
     await delay(rand(2000, 4000));
 
-    // Look for messaging interface
-    console.log("🔍 Looking for messaging interface...");
-    const messageButtonSelector = 'div[aria-label="Message"][role="button"]';
-
-    let messageButton = null;
+    let outcome = null;
     try {
-      console.log("Trying primary message button selector...");
-      messageButton = await page.$(messageButtonSelector);
-
-      if (!messageButton) {
-        throw new Error("Profile unavailable or no messaging option found");
-      }
-
-      console.log("🖱️ Clicking message button...");
-      await humanClick(page, messageButton);
+      await openChat(page, logger);
       messageButtonPresent = "Yes";
 
-      await Promise.race([
-        page.waitForSelector('div[contenteditable="true"]', { timeout: 15000 }),
-        page.waitForSelector("textarea", { timeout: 15000 }),
-        page.waitForNavigation({
-          waitUntil: "domcontentloaded",
-          timeout: 15000,
-        }),
-        delay(10000),
-      ]);
-
-      await delay(rand(2000, 4000));
-
-      const messageInputSelectors = [
-        'div[aria-label="Message"][role="textbox"][contenteditable="true"]',
-      ];
-
-      let messageInput = null;
-      for (const selector of messageInputSelectors) {
-        try {
-          messageInput = await page.$(selector);
-          if (messageInput) {
-            console.log(`⌨️ Found message input with selector: ${selector}`);
-            break;
-          }
-        } catch (e) {}
-      }
-
-      if (messageInput) {
-        console.log("📝 Typing message...");
-        await humanClick(page, messageInput);
-        await delay(rand(500, 1000));
-
-        const isContentEditable = await messageInput.evaluate(
-          (el) => el.contentEditable === "true"
-        );
-        if (isContentEditable) {
-          await messageInput.focus();
-          await page.keyboard.down("Control");
-          await page.keyboard.press("a");
-          await page.keyboard.up("Control");
-          await delay(100);
-          await messageInput.type(message);
-        } else {
-          await humanType(messageInput, message, { min: 100, max: 250 });
-        }
-
-        await delay(rand(1000, 2000));
-
-        const sendSelectors = [
-          'div.xsrhx6k[role="button"]',
-          "div.x5yr21d svg.xsrhx6k",
-          'svg.xsrhx6k[aria-label="Send"]',
-        ];
-
-        let sendButton = null;
-        for (const selector of sendSelectors) {
-          try {
-            sendButton = await page.$(selector);
-            if (sendButton) {
-              console.log(`📤 Found send button with selector: ${selector}`);
-              break;
-            }
-          } catch (e) {}
-        }
-
-        if (sendButton) {
-          console.log("📤 Sending message...");
-          await humanClick(page, sendButton);
-          messageSent = "Yes";
-        } else {
-          console.log("📤 Trying Enter key to send...");
-          await page.keyboard.press("Enter");
-          messageSent = "Yes";
-        }
-
-        await delay(rand(4000, 7000));
-        console.log("✅ Message sent successfully!");
-      } else {
-        throw new Error("Message input field not found");
-      }
+      outcome = await sendInConversation(page, message, logger, options);
     } catch (err) {
-      throw new Error("Profile unavailable or no messaging option found");
+      throw withCode(err, ERROR_CODES.SEND_FAILED);
     }
 
     const duration = Date.now() - start;
+    logger.info("Profile done", { step: "done", durationMs: duration });
     return {
-      success: true,
+      ...outcome,
       profileId: profile.id,
       url: profile.url,
       durationMs: duration,
-      message: message.substring(0, 50) + (message.length > 50 ? "..." : ""),
+      message: truncate(message),
       messageButtonPresent,
-      messageSent,
     };
-  } catch (err) {
-    const duration = Date.now() - start;
-    console.error(`❌ Failed to send message to ${profile.id}: ${err.message}`);
+  } catch (caught) {
     return {
-      success: false,
       profileId: profile.id,
       url: profile.url,
-      error: err.message,
-      durationMs: duration,
+      ...(await failedSend(page, caught, logger, start, options.attachments)),
       messageButtonPresent,
-      messageSent,
     };
   }
 }
 
-/* ------------------------------- Main Actor -------------------------------- */
-
-Actor.main(async () => {
-  console.log("🤖 Facebook Messenger Actor starting...");
-
-  //   Get input from Apify
-  // Get inputs from Apify or environment
-  const input = (await Actor.getInput()) || {};
-  console.log("Loaded input:", input);
-
-  const loginEmail =
-    "adedokunfemi14@gmail.com" || process.env.LOGIN_EMAIL || input.loginEmail;
-  const loginPassword =
-    "Adedokun@1900" || process.env.LOGIN_PASSWORD || input.loginPassword;
-  const profiles = input.profiles || [
-    { id: "profile-001", url: "https://www.facebook.com/terri.lopez.9659283" },
-    {
-      id: "profile-002",
-      url: "https://www.facebook.com/profile.php?id=61559986547821",
-    },
-  ];
-  const message = input.message || "Hello World";
-  const headless = input.headless || false;
-
-  // ✅ Validate resolved values
-  if (!loginEmail || !loginPassword) {
-    throw new Error(
-      "❌ loginEmail and loginPassword are required inputs (via .env or INPUT.json)"
-    );
-  }
-
-  if (!profiles || !Array.isArray(profiles) || profiles.length === 0) {
-    throw new Error(
-      "❌ profiles array is required and must contain at least one profile"
-    );
-  }
-
-  if (!message || typeof message !== "string") {
-    throw new Error("❌ message is required and must be a string");
-  }
-
-  //   const {
-  //     loginEmail,
-  //     loginPassword,
-  //     profiles,
-  //     message,
-  //     headless = true,
-  //   } = input;
-
-  console.log(`📧 Login email: ${loginEmail}`);
-  console.log(`📝 Message: "${message}"`);
-  console.log(`👥 Profiles to process: ${profiles.length}`);
-  console.log(`🤖 Headless mode: ${headless}`);
-
-  // Launch browser with Apify's configuration
-  const browser = await puppeteer.launch({
-    headless,
-    defaultViewport: DEFAULT_VIEWPORT,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-blink-features=AutomationControlled",
-      "--disable-features=VizDisplayCompositor",
-      "--disable-web-security",
-      "--disable-features=site-per-process",
-      "--disable-extensions",
-      "--disable-plugins",
-      "--disable-images",
-      "--disable-javascript-harmony-shipping",
-      "--disable-background-timer-throttling",
-      "--disable-backgrounding-occluded-windows",
-      "--disable-renderer-backgrounding",
-      "--disable-field-trial-config",
-      "--disable-back-forward-cache",
-      "--disable-ipc-flooding-protection",
-      "--window-size=1366,768",
-    ],
-    ignoreDefaultArgs: ["--enable-automation"],
-    slowMo: 50,
-  });
-
-  const page = await browser.newPage();
+/* ------------------------- Send message to thread ------------------------- */
 
-  // Set realistic headers and user agent for Facebook
-  await page.setUserAgent(
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-  );
-
-  await page.setExtraHTTPHeaders({
-    "Accept-Language": "en-US,en;q=0.9",
-    "Accept-Encoding": "gzip, deflate, br",
-    Accept:
-      "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8",
-    Connection: "keep-alive",
-    "Upgrade-Insecure-Requests": "1",
-    "Sec-Fetch-Dest": "document",
-    "Sec-Fetch-Mode": "navigate",
-    "Sec-Fetch-Site": "none",
-    "Cache-Control": "max-age=0",
-  });
-
-  // Override webdriver detection
-  await page.evaluateOnNewDocument(() => {
-    Object.defineProperty(navigator, "webdriver", {
-      get: () => undefined,
-    });
-
-    // Remove automation indicators
-    if (window.chrome && window.chrome.runtime) {
-      delete window.chrome.runtime.onConnect;
-    }
-
-    // Mock plugins
-    Object.defineProperty(navigator, "plugins", {
-      get: () => [1, 2, 3, 4, 5],
-    });
-
-    // Mock languages
-    Object.defineProperty(navigator, "languages", {
-      get: () => ["en-US", "en"],
-    });
-  });
-
-  const results = [];
+/**
+ * Messages the conversation loaded in `page`: a thread reached from a
+ * profile's Message link, or a `threadId` / thread URL target opened directly.
+ * Same result shape, failure handling, `dryRun` and `attachments` as
+ * sendMessageToProfile; group targets (`type: "group"`) also get the
+ * `groupName` and `participantCount` shown in the conversation header.
+ */
+export async function sendMessageToThread(
+  page,
+  profile,
+  message,
+  credentials,
+  headless,
+  options = {}
+) {
+  const start = Date.now();
+  const logger = forProfile(profile.id);
+  const threadUrl = page.url();
+  let group = {};
 
   try {
-    console.log(`📋 Processing ${profiles.length} profiles...`);
-
-    // First, try to establish a session by going to Facebook homepage
-    console.log("🏠 Establishing Facebook session...");
-    try {
-      await page.goto("https://www.facebook.com", {
-        waitUntil: "domcontentloaded",
-        timeout: 30000,
-      });
-      await delay(rand(2000, 4000));
-
-      // Load existing cookies if available
-      await loadCookies(page, loginEmail);
-      await page.reload({ waitUntil: "domcontentloaded" });
-      await delay(rand(2000, 3000));
-    } catch (homeError) {
-      console.log("⚠️ Could not load Facebook homepage, continuing anyway...");
-    }
-
-    // Process each profile
-    for (let i = 0; i < profiles.length; i++) {
-      const profile = profiles[i];
-
-      console.log(`\n📍 Profile ${i + 1}/${profiles.length}`);
-
-      try {
-        // Add random delay between profiles (3-10 seconds)
-        if (i > 0) {
-          const pauseTime = rand(3000, 10000);
-          console.log(`⏸️ Pausing ${pauseTime}ms between profiles...`);
-          await delay(pauseTime);
-        }
+    logger.info("Processing conversation", { step: "start", threadUrl });
+    await delay(rand(3000, 6000));
 
-        const result = await sendMessageToProfile(
-          page,
-          profile,
-          message,
-          loginEmail,
-          headless
-        );
+    await ensureLoggedIn(page, credentials, headless, logger, threadUrl);
 
-        // Save result to Apify dataset
-        await Actor.pushData({
-          timestamp: new Date().toISOString(),
-          ...result,
-        });
-
-        results.push(result);
-      } catch (err) {
-        const fail = {
-          success: false,
-          profileId: profile.id,
-          url: profile.url,
-          error: err.message,
-          timestamp: new Date().toISOString(),
-          messageButtonPresent: "No",
-          messageSent: "No",
-        };
-
-        await Actor.pushData(fail);
-        results.push(fail);
-        console.error(`❌ Profile ${profile.id} failed:`, err.message);
-      }
+    if (profile.type === "group") {
+      group = await readThreadHeader(page);
+      logger.info("Opened group conversation", { step: "group", ...group });
     }
-  } catch (err) {
-    console.error("💥 Fatal error during processing:", err);
-    throw err;
-  } finally {
-    console.log("🔒 Closing browser...");
-    await browser.close();
-  }
 
-  // Summary
-  const successful = results.filter((r) => r.success).length;
-  const failed = results.filter((r) => !r.success).length;
-
-  console.log("\n" + "=".repeat(50));
-  console.log("📊 FINAL RESULTS SUMMARY");
-  console.log("=".repeat(50));
-  console.log(`✅ Successful: ${successful}/${profiles.length}`);
-  console.log(`❌ Failed: ${failed}/${profiles.length}`);
-
-  if (failed > 0) {
-    console.log("\n❌ Failed profiles:");
-    results
-      .filter((r) => !r.success)
-      .forEach((r) => {
-        console.log(`   • ${r.profileId}: ${r.error}`);
-      });
-  }
+    const outcome = await sendInConversation(page, message, logger, options);
 
-  if (successful > 0) {
-    console.log("\n✅ Successful profiles:");
-    results
-      .filter((r) => r.success)
-      .forEach((r) => {
-        console.log(`   • ${r.profileId}: ${Math.round(r.durationMs / 1000)}s`);
-      });
+    const duration = Date.now() - start;
+    logger.info("Profile done", { step: "done", durationMs: duration });
+    return {
+      ...outcome,
+      profileId: profile.id,
+      url: profile.url,
+      threadUrl,
+      ...group,
+      durationMs: duration,
+      message: truncate(message),
+      messageButtonPresent: "Yes",
+    };
+  } catch (caught) {
+    return {
+      profileId: profile.id,
+      url: profile.url,
+      threadUrl,
+      ...group,
+      ...(await failedSend(page, caught, logger, start, options.attachments)),
+      messageButtonPresent: "Yes",
+    };
   }
-
-  console.log("\n🎉 Actor completed!");
-
-  // Set final output
-  await Actor.setValue("OUTPUT", {
-    summary: {
-      totalProfiles: profiles.length,
-      successful,
-      failed,
-      successRate: `${Math.round((successful / profiles.length) * 100)}%`,
-    },
-    results,
-  });
-});
+}
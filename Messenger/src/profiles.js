@@ -0,0 +1,256 @@
+/* ---------------------------- Profile identity ---------------------------- */
+
+/**
+ * Normalizes a profile URL or ID for comparison. URLs lose their scheme,
+ * "www." / "m." / "web." prefix, query (except profile.php's id) and trailing
+ * slash; anything that is not a URL is returned trimmed.
+ */
+export function normalizeProfileRef(value) {
+  const trimmed = String(value).trim();
+  if (!/^[a-z]+:\/\//i.test(trimmed)) return trimmed;
+
+  try {
+    const url = new URL(trimmed);
+    const host = url.hostname.toLowerCase().replace(/^(www|m|web)\./, "");
+    const id = url.searchParams.get("id");
+    const path = url.pathname.replace(/\/+$/, "").toLowerCase();
+    return id ? `${host}${path}?id=${id}` : `${host}${path}`;
+  } catch {
+    return trimmed;
+  }
+}
+
+/**
+ * Identity of the person behind a profile entry across runs: the normalized
+ * URL, or the entry's id when it has no URL.
+ */
+export function canonicalProfileId(profile) {
+  return normalizeProfileRef(profile.url || profile.id);
+}
+
+/* ---------------------------- Input validation ---------------------------- */
+
+const FACEBOOK_HOSTS = new Set([
+  "facebook.com",
+  "www.facebook.com",
+  "m.facebook.com",
+  "web.facebook.com",
+]);
+
+// First path segments that are Facebook features, not usernames
+const RESERVED_PATHS = new Set([
+  "events",
+  "friends",
+  "gaming",
+  "groups",
+  "hashtag",
+  "home.php",
+  "login",
+  "marketplace",
+  "messages",
+  "notifications",
+  "pages",
+  "permalink.php",
+  "photo.php",
+  "photos",
+  "reel",
+  "search",
+  "settings",
+  "share",
+  "story.php",
+  "watch",
+]);
+
+const MESSENGER_HOSTS = new Set(["messenger.com", "www.messenger.com"]);
+
+// Usernames are letters, digits and periods; so are thread IDs
+const VANITY_PATTERN = /^[a-z0-9.]+$/i;
+
+const THREAD_BASE = "https://www.facebook.com/messages/t/";
+
+// `type` of a profile entry; groups are only reachable by their conversation
+const TARGET_TYPES = ["profile", "group"];
+
+function parseUrl(value) {
+  try {
+    return new URL(String(value ?? "").trim());
+  } catch {
+    return null;
+  }
+}
+
+// The <id> of facebook.com/messages/t/<id> and messenger.com/t/<id>
+function threadPathId(url) {
+  const host = url.hostname.toLowerCase();
+  const segments = url.pathname.split("/").filter(Boolean);
+  if (FACEBOOK_HOSTS.has(host) && segments[0] === "messages") {
+    return segments[1] === "t" ? segments[2] || "" : null;
+  }
+  if (MESSENGER_HOSTS.has(host)) {
+    return segments[0] === "t" ? segments[1] || "" : null;
+  }
+  return null;
+}
+
+/**
+ * True for conversation URLs: facebook.com/messages/t/<id> or
+ * messenger.com/t/<id>.
+ */
+export function isThreadUrl(value) {
+  const url = parseUrl(value);
+  return !!url && threadPathId(url) !== null;
+}
+
+/**
+ * Canonical conversation URL for a thread ID or a thread URL:
+ * https://www.facebook.com/messages/t/<id>, which the facebook.com session
+ * can open. Throws an Error saying what is wrong otherwise.
+ */
+export function canonicalThreadUrl({ threadId, url: value }) {
+  let id = threadId;
+  if (id === undefined) {
+    const url = parseUrl(value);
+    id = url && threadPathId(url);
+    if (id === null) throw new Error(`not a conversation URL: "${value}"`);
+  }
+  id = String(id).trim();
+  if (!VANITY_PATTERN.test(id)) {
+    throw new Error(`"${id}" is not a Messenger thread ID`);
+  }
+  return `${THREAD_BASE}${id}`;
+}
+
+/**
+ * Canonical form of a Facebook profile URL:
+ * https://www.facebook.com/<username> or
+ * https://www.facebook.com/profile.php?id=<number>. Mobile and web hosts,
+ * sub-pages such as /about, tracking parameters and fragments are dropped,
+ * and /people/<name>/<id> links become profile.php links. Throws an Error
+ * saying what is wrong when `value` is not a profile URL.
+ */
+export function canonicalProfileUrl(value) {
+  const trimmed = String(value ?? "").trim();
+  const url = parseUrl(trimmed);
+  if (!url || !/^https?:$/.test(url.protocol)) {
+    throw new Error(`malformed URL "${trimmed}"`);
+  }
+
+  const host = url.hostname.toLowerCase();
+  if (!FACEBOOK_HOSTS.has(host)) {
+    throw new Error(`"${host}" is not a Facebook host`);
+  }
+
+  const segments = url.pathname.split("/").filter(Boolean);
+  const [first = "", , numericId] = segments;
+  const base = "https://www.facebook.com";
+
+  if (first.toLowerCase() === "profile.php") {
+    const id = url.searchParams.get("id");
+    if (!/^\d+$/.test(id || "")) {
+      throw new Error(`profile.php URL without a numeric id: "${trimmed}"`);
+    }
+    return `${base}/profile.php?id=${id}`;
+  }
+  if (first.toLowerCase() === "people" && /^\d+$/.test(numericId || "")) {
+    return `${base}/profile.php?id=${numericId}`;
+  }
+  if (
+    !first ||
+    RESERVED_PATHS.has(first.toLowerCase()) ||
+    !VANITY_PATTERN.test(first)
+  ) {
+    throw new Error(`URL does not point to a profile: "${trimmed}"`);
+  }
+  return `${base}/${first.toLowerCase()}`;
+}
+
+/**
+ * Checks the `profiles` input before anything is launched. Every entry needs
+ * an id and a target: a Facebook profile `url`, a conversation URL as `url`
+ * or a `threadId`; group chats (`type: "group"`) need the latter two. No two
+ * entries may share an id or point to the same profile or conversation.
+ * Returns copies of the profiles with canonical URLs; entries reached
+ * through a conversation also get a `threadUrl`, and keep their profile URL
+ * as `url` when they have one. Throws one Error listing every bad entry.
+ */
+export function validateProfiles(profiles) {
+  const problems = [];
+  const byId = new Map();
+  const byUrl = new Map();
+
+  const valid = profiles.map((profile, i) => {
+    const label =
+      profile && profile.id !== undefined
+        ? `profiles[${i}] (${profile.id})`
+        : `profiles[${i}]`;
+    if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+      problems.push(`${label}: must be an object with id and url or threadId`);
+      return profile;
+    }
+
+    const id = String(profile.id ?? "").trim();
+    if (!id) {
+      problems.push(`${label}: id is missing`);
+    } else if (byId.has(id)) {
+      problems.push(`${label}: duplicate id, also used by ${byId.get(id)}`);
+    } else {
+      byId.set(id, label);
+    }
+
+    const type = profile.type ?? "profile";
+    if (!TARGET_TYPES.includes(type)) {
+      problems.push(`${label}: type must be one of ${TARGET_TYPES.join(", ")}`);
+      return profile;
+    }
+
+    const hasThreadId = profile.threadId !== undefined;
+    if (!profile.url && !hasThreadId) {
+      problems.push(`${label}: url or threadId is missing`);
+      return profile;
+    }
+    let url = null;
+    let threadUrl = null;
+    try {
+      if (hasThreadId) threadUrl = canonicalThreadUrl(profile);
+      if (profile.url && isThreadUrl(profile.url)) {
+        url = canonicalThreadUrl({ url: profile.url });
+        if (threadUrl && threadUrl !== url) {
+          throw new Error("threadId and url name different conversations");
+        }
+        threadUrl = url;
+      } else if (profile.url) {
+        url = canonicalProfileUrl(profile.url);
+      }
+      if (type === "group" && !threadUrl) {
+        throw new Error("group targets need a threadId or conversation URL");
+      }
+    } catch (err) {
+      problems.push(`${label}: ${err.message}`);
+      return profile;
+    }
+
+    for (const target of new Set([url, threadUrl].filter(Boolean))) {
+      if (byUrl.has(target)) {
+        problems.push(
+          `${label}: same profile as ${byUrl.get(target)} (${target})`
+        );
+      } else {
+        byUrl.set(target, label);
+      }
+    }
+    return {
+      ...profile,
+      url: url || threadUrl,
+      ...(threadUrl && { threadUrl }),
+    };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(
+      `❌ ${problems.length} problem(s) in profiles:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+  }
+  return valid;
+}
@@ -0,0 +1,82 @@
+import { createHash } from 'node:crypto';
+
+import { Actor } from 'apify';
+
+/* ------------------------------- Send quotas ------------------------------ */
+
+// Named store, so every run of the account draws on the same budget
+export const QUOTA_STORE = "messenger-quotas";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// One record per login account; the email is hashed out of the key
+function quotaKey(account) {
+  const hash = createHash("sha256")
+    .update(String(account).trim().toLowerCase())
+    .digest("hex");
+  return `quota-${hash.slice(0, 32)}`;
+}
+
+async function openStore() {
+  return Actor.openKeyValueStore(QUOTA_STORE);
+}
+
+async function loadSends(store, account) {
+  const record = (await store.getValue(quotaKey(account))) || { sends: [] };
+  return record.sends.map((sentAt) => Date.parse(sentAt));
+}
+
+/**
+ * Usage of an account's budget given the times of its sends. A limit of 0
+ * means no limit. `resumesAt` is when the budget frees up again, or null
+ * while it is not exhausted.
+ */
+export function quotaUsage(sends, { hourly = 0, daily = 0 }, now = Date.now()) {
+  const lastHour = sends.filter((t) => now - t < HOUR_MS).sort((a, b) => a - b);
+  const lastDay = sends.filter((t) => now - t < DAY_MS).sort((a, b) => a - b);
+
+  // The window frees up when enough of its oldest sends have aged out
+  const freesAt = (window, limit, span) =>
+    limit > 0 && window.length >= limit
+      ? window[window.length - limit] + span
+      : null;
+  const resumes = [
+    freesAt(lastHour, hourly, HOUR_MS),
+    freesAt(lastDay, daily, DAY_MS),
+  ].filter((t) => t !== null);
+
+  return {
+    hourlyLimit: hourly,
+    dailyLimit: daily,
+    sentLastHour: lastHour.length,
+    sentLastDay: lastDay.length,
+    exhausted: resumes.length > 0,
+    resumesAt: resumes.length
+      ? new Date(Math.max(...resumes)).toISOString()
+      : null,
+  };
+}
+
+/**
+ * Current usage of the account's hourly and daily budget across runs.
+ */
+export async function getQuotaUsage(account, limits, now = Date.now()) {
+  const store = await openStore();
+  return quotaUsage(await loadSends(store, account), limits, now);
+}
+
+/**
+ * Counts a sent message against the account's budget. Sends older than a day
+ * no longer count and are dropped.
+ */
+export async function recordQuotaSend(account, now = Date.now()) {
+  const store = await openStore();
+  const sends = (await loadSends(store, account)).filter(
+    (t) => now - t < DAY_MS
+  );
+  sends.push(now);
+  await store.setValue(quotaKey(account), {
+    sends: sends.map((t) => new Date(t).toISOString()),
+  });
+}
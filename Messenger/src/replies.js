@@ -0,0 +1,190 @@
+import { createHash } from 'node:crypto';
+
+import { Actor } from 'apify';
+
+import { visitConversations } from './followup.js';
+
+// Named dataset, so replies are kept apart from the send results
+export const REPLIES_DATASET = "messenger-replies";
+
+/* ----------------------------- Reading replies ---------------------------- */
+
+/**
+ * Reads the message rows of the open conversation, oldest first:
+ * { outgoing, sender, text, time, attachments: [{ name, url }] }. The sender
+ * comes from the row's "<name> sent" heading, which reads "You sent" for our
+ * own messages; `time` is null when the row shows no timestamp.
+ */
+export async function readMessages(page) {
+  return page.evaluate(() =>
+    Array.from(document.querySelectorAll('[role="row"]'))
+      .map((row) => {
+        const heading = row.querySelector("h4, h5");
+        const label = heading ? heading.innerText.trim() : "";
+        const sender = label
+          .replace(/\s+(sent|replied|wrote)\b.*$/i, "")
+          .trim();
+        const outgoing = sender.toLowerCase() === "you";
+
+        const text = Array.from(row.querySelectorAll('[dir="auto"]'))
+          .map((el) => el.innerText.trim())
+          .filter(Boolean)
+          .join("\n");
+
+        const stamp = row.querySelector("time[datetime], [data-utime]");
+        let time = null;
+        if (stamp && stamp.hasAttribute("datetime")) {
+          time = new Date(stamp.getAttribute("datetime")).toISOString();
+        } else if (stamp) {
+          time = new Date(Number(stamp.dataset.utime) * 1000).toISOString();
+        }
+
+        // Emoji and links in the text are part of it, and links to other
+        // sites are previews; avatars carry the sender's name as their alt
+        const external = (el) => {
+          const link = el.closest("a[href]");
+          return !!link && new URL(link.href).host !== window.location.host;
+        };
+        const attachments = Array.from(row.querySelectorAll("img, a[href]"))
+          .filter((el) => !el.closest('[dir="auto"]') && !external(el))
+          .filter((el) => el.getAttribute("alt") !== sender)
+          .map((el) => ({
+            name:
+              el.getAttribute("download") ||
+              el.getAttribute("alt") ||
+              el.innerText.trim() ||
+              null,
+            url: el.src || el.href,
+          }));
+
+        return { outgoing, sender: sender || null, text, time, attachments };
+      })
+      // Date separators and notices have neither text nor files
+      .filter((m) => m.text || m.attachments.length > 0)
+  );
+}
+
+/**
+ * The messages received after `sentAt`. Rows without a timestamp count when
+ * they come after our last message.
+ */
+export function repliesAfter(messages, sentAt) {
+  const since = Date.parse(sentAt);
+  const lastOutgoing = messages.findLastIndex((m) => m.outgoing);
+
+  return messages.filter(
+    (m, i) =>
+      !m.outgoing && (m.time ? Date.parse(m.time) > since : i > lastOutgoing)
+  );
+}
+
+/**
+ * Identifies a reply across runs: the conversation (the target's `url`) with
+ * the message's time, sender, text and attachment names, and `occurrence`,
+ * the number of identical replies before it. Attachment URLs are left out,
+ * as Messenger signs them anew on every visit.
+ */
+export function replyKey(
+  url,
+  { sender, text, time, attachments = [] },
+  occurrence = 0
+) {
+  const names = attachments.map((a) => a.name);
+  const fields = [url, time, sender, text, names];
+  return createHash("sha256")
+    .update(JSON.stringify(occurrence > 0 ? [...fields, occurrence] : fields))
+    .digest("hex");
+}
+
+/**
+ * Returns a function that keys replies (see replyKey) given oldest first.
+ * Identical replies, such as two "ok" without a timestamp, are told apart by
+ * how many came before them.
+ */
+export function replyKeyer() {
+  const counts = new Map();
+  return (url, reply) => {
+    const key = replyKey(url, reply);
+    const occurrence = counts.get(key) || 0;
+    counts.set(key, occurrence + 1);
+    return replyKey(url, reply, occurrence);
+  };
+}
+
+/* ---------------------------- Reply collection ---------------------------- */
+
+// Keys of the replies earlier runs stored, which were pushed oldest first
+async function storedReplyKeys(dataset) {
+  const keyOf = replyKeyer();
+  const keys = new Set();
+  await dataset.forEach(async (item) => {
+    keys.add(keyOf(item.url, item));
+  });
+  return keys;
+}
+
+/**
+ * Revisits each target's conversation (see visitConversations) and pushes the
+ * replies received since our send to the `messenger-replies` dataset, one
+ * record per message, linked by `profileId`. Replies an earlier run already
+ * stored are skipped. Nothing is sent. Returns a summary of the collection.
+ */
+export async function collectReplies(targets, campaign, options = {}) {
+  const dataset = await Actor.openDataset(REPLIES_DATASET);
+  const stored = await storedReplyKeys(dataset);
+  let withReplies = 0;
+  let total = 0;
+  let alreadyStored = 0;
+
+  const summary = await visitConversations(
+    targets,
+    campaign,
+    async ({ target, page, threadUrl, logger }) => {
+      const replies = repliesAfter(await readMessages(page), target.sentAt);
+      const keyOf = replyKeyer();
+      const fresh = replies.filter((reply) => {
+        const key = keyOf(target.url, reply);
+        if (stored.has(key)) return false;
+        stored.add(key);
+        return true;
+      });
+      const collectedAt = new Date().toISOString();
+      await dataset.pushData(
+        fresh.map(({ sender, text, time, attachments }) => ({
+          profileId: target.profileId,
+          url: target.url,
+          threadUrl,
+          sentAt: target.sentAt,
+          sender,
+          text,
+          time,
+          attachments,
+          collectedAt,
+        }))
+      );
+
+      if (replies.length > 0) withReplies += 1;
+      total += fresh.length;
+      alreadyStored += replies.length - fresh.length;
+      logger.info("Collected replies", {
+        step: "replies",
+        replies: fresh.length,
+        alreadyStored: replies.length - fresh.length,
+      });
+    },
+    options
+  );
+
+  const { conversations, checked, failed, haltedReason, sessionStatus } =
+    summary;
+  return {
+    conversations,
+    checked,
+    withReplies,
+    replies: total,
+    alreadyStored,
+    failed,
+    haltedReason,
+    sessionStatus,
+  };
+}
@@ -0,0 +1,58 @@
+import { Actor } from 'apify';
+
+import { recordSend } from './ledger.js';
+import { recordQuotaSend } from './quota.js';
+
+/* ----------------------------- Result records ----------------------------- */
+
+/**
+ * Result for a profile that is not messaged in this run.
+ */
+export function notSentResult(profile, fields) {
+  return {
+    success: false,
+    profileId: profile.id,
+    url: profile.url,
+    ...fields,
+    messageButtonPresent: "No",
+    messageSent: "No",
+  };
+}
+
+/**
+ * Result for a profile put off because the account's send quota ran out.
+ */
+export function deferredResult(profile, usage) {
+  return notSentResult(profile, {
+    deferred: "quotaExhausted",
+    resumesAt: usage.resumesAt,
+  });
+}
+
+/**
+ * Stores a profile's result: dataset record, campaign state (which feeds
+ * OUTPUT) and, for sent messages, the cross-run send ledger and quota. Sent
+ * records get the ledger's `sentAt`, which reply collection reads replies
+ * from. In a dry run the record says whether the message would have been
+ * sent.
+ */
+export async function recordResult(campaign, profile, result, text) {
+  let sent = result;
+  if (result.messageSent === "Yes") {
+    const entry = await recordSend(profile, text, result.threadUrl);
+    await recordQuotaSend(campaign.credentials.email);
+    sent = { ...result, sentAt: entry.sentAt };
+  }
+
+  const record = campaign.dryRun
+    ? { ...sent, dryRun: true, wouldSend: sent.success }
+    : sent;
+
+  await Actor.pushData({
+    timestamp: new Date().toISOString(),
+    ...record,
+  });
+
+  campaign.state.results.push(record);
+  await campaign.onProgress();
+}
@@ -1,21 +1,263 @@
-import { createPuppeteerRouter, Dataset } from 'crawlee';
+import { createPuppeteerRouter } from 'crawlee';
 
-export const router = createPuppeteerRouter();
+import { recordAttempt } from './audit.js';
+import { haltIfTripped } from './breaker.js';
+import { ERROR_CODES, withCode } from './errors.js';
+import { saveEvidence } from './evidence.js';
+import { getLedgerEntry, sentWithinWindow } from './ledger.js';
+import { forProfile, log } from './logger.js';
+import {
+  ensureLoggedIn,
+  findThreadLink,
+  sendMessageToProfile,
+  sendMessageToThread,
+} from './messenger.js';
+import { getQuotaUsage } from './quota.js';
+import { deferredResult, notSentResult, recordResult } from './results.js';
+import { cookiesChanged, SESSION_STATUS } from './session.js';
+import { isSuppressed, loadSuppressionList } from './suppression.js';
 
-router.addDefaultHandler(async ({ enqueueLinks, log }) => {
-    log.info(`enqueueing new URLs`);
-    await enqueueLinks({
-        globs: ['https://apify.com/*'],
-        label: 'detail',
+/* --------------------------------- Labels --------------------------------- */
+
+export const LABELS = {
+  // Authenticated page loaded at startup to check the session
+  LOGIN: "LOGIN",
+  // Profile page with a Message button; userData { profile, text }
+  PROFILE: "PROFILE",
+  // Conversation opened from a profile's Message link, or a profile entry
+  // with a threadId or conversation URL; same userData
+  THREAD: "THREAD",
+  // Conversation of an earlier send, revisited by a follow-up mode;
+  // userData { target }
+  CONVERSATION: "CONVERSATION",
+};
+
+/**
+ * Logs in when `page` shows the login wall and returns to `returnUrl`.
+ * Returns true when a login was performed, and notes it in the campaign's
+ * session. A failed login throws LOGIN_FAILED, which the crawler does not
+ * retry, and at the session check it halts the run (see src/breaker.js), so
+ * the requests still queued do not log in again: repeated attempts get the
+ * account flagged.
+ */
+export async function logIn(page, campaign, logger, returnUrl) {
+  const { credentials, headless, session } = campaign;
+  try {
+    const loggedIn = await ensureLoggedIn(
+      page,
+      credentials,
+      headless,
+      logger,
+      returnUrl
+    );
+    if (loggedIn && session) {
+      Object.assign(session, { status: SESSION_STATUS.RELOGGED_IN });
+    }
+    return loggedIn;
+  } catch (err) {
+    if (session) Object.assign(session, { status: SESSION_STATUS.INVALID });
+    throw withCode(err, ERROR_CODES.LOGIN_FAILED);
+  }
+}
+
+/**
+ * Records `profile` as skipped when it is on `suppressionList` or was
+ * messaged within the campaign's dedupe window (unless `force`), reading the
+ * send ledger afresh. Returns true when it was skipped.
+ */
+export async function skipIfContacted(campaign, profile, suppressionList) {
+  const { dedupeWindowDays, force } = campaign;
+  const logger = forProfile(profile.id);
+
+  // Never contact anyone on the do-not-contact list
+  if (isSuppressed(suppressionList, profile)) {
+    logger.info("Profile is on the suppression list, skipping", {
+      step: "suppression",
     });
-});
+    await recordResult(
+      campaign,
+      profile,
+      notSentResult(profile, { skipped: "suppressed" })
+    );
+    return true;
+  }
 
-router.addHandler('detail', async ({ request, page, log }) => {
-    const title = await page.title();
-    log.info(`${title}`, { url: request.loadedUrl });
+  // Don't message the same person twice within the window
+  const lastSend = await getLedgerEntry(profile);
+  if (!force && sentWithinWindow(lastSend, dedupeWindowDays)) {
+    logger.info("Profile was already messaged recently, skipping", {
+      step: "ledger",
+      lastSentAt: lastSend.sentAt,
+      lastRunId: lastSend.runId,
+    });
+    await recordResult(
+      campaign,
+      profile,
+      notSentResult(profile, {
+        skipped: "alreadyMessaged",
+        lastSentAt: lastSend.sentAt,
+      })
+    );
+    return true;
+  }
+  return false;
+}
 
-    await Dataset.pushData({
-        url: request.loadedUrl,
-        title,
+/**
+ * The startup session check, on the LOGIN request's page: confirms the
+ * restored cookies are logged in, logging in again when they are not, and
+ * records the session status (see src/session.js).
+ */
+export async function checkSession(page, campaign, logger) {
+  const { session } = campaign;
+  const loggedIn = await logIn(page, campaign, logger);
+  if (session && !loggedIn) {
+    const renewed = cookiesChanged(session.saved, await page.cookies());
+    Object.assign(session, {
+      status: renewed ? SESSION_STATUS.REFRESHED : SESSION_STATUS.REUSED,
     });
-});
+  }
+  logger.info("Session checked", {
+    step: "session",
+    sessionStatus: session ? session.status : null,
+  });
+}
+
+/* --------------------------------- Router --------------------------------- */
+
+/**
+ * Builds the request router for a campaign:
+ * { credentials, headless, dryRun, attachments, operator, quota,
+ * maxConsecutiveFailures, session, state, onProgress }.
+ */
+export function createRouter(campaign) {
+  const { credentials, headless, dryRun, attachments, quota, state } = campaign;
+  const router = createPuppeteerRouter();
+
+  // Runs the send for a PROFILE or THREAD request and records its result.
+  // Every attempt outside a dry run also goes to the audit log, including
+  // ones that throw and are retried. A restart that interrupted a send
+  // cannot tell whether the message went out, so that request is reported
+  // instead of retried, and audited with an unknown outcome. The suppression
+  // list and ledger are read again right before sending, as a resumed run
+  // may have waited since the queue was planned.
+  async function sendOnce({ request, page, crawler }, send) {
+    const { profile, text } = request.userData;
+
+    if (state.current === request.uniqueKey) {
+      forProfile(profile.id).warning("Profile was interrupted by a restart", {
+        step: "resume",
+      });
+      const result = notSentResult(profile, {
+        errorCode: ERROR_CODES.INTERRUPTED,
+        error:
+          "Run restarted while this profile was being processed; not retried to avoid a duplicate message",
+      });
+      if (!dryRun) {
+        const startedAt = state.currentStartedAt || new Date().toISOString();
+        await recordAttempt(campaign, { profile, text, startedAt }, { result });
+      }
+      Object.assign(state, { current: null, currentStartedAt: null });
+      await recordResult(campaign, profile, result);
+      return;
+    }
+
+    if (await skipIfContacted(campaign, profile, await loadSuppressionList())) {
+      return;
+    }
+
+    // Out of budget: stop here, runCampaign defers whatever is still queued
+    if (!dryRun && quota) {
+      const usage = await getQuotaUsage(credentials.email, quota);
+      if (usage.exhausted) {
+        log.warning("Send quota exhausted, deferring remaining profiles", {
+          step: "quota",
+          ...usage,
+        });
+        Object.assign(state, { quotaExhausted: usage });
+        await recordResult(campaign, profile, deferredResult(profile, usage));
+        crawler.stop("Send quota exhausted");
+        return;
+      }
+    }
+
+    const attempt = { profile, text, startedAt: new Date().toISOString() };
+    Object.assign(state, {
+      current: request.uniqueKey,
+      currentStartedAt: attempt.startedAt,
+    });
+    await campaign.onProgress();
+    try {
+      let result;
+      try {
+        result = await send(profile, text);
+      } catch (error) {
+        if (!dryRun) await recordAttempt(campaign, attempt, { error });
+        throw error;
+      }
+      if (!result) return;
+      if (!dryRun) await recordAttempt(campaign, attempt, { result });
+      // Keep what the page looked like so failures can be diagnosed later
+      if (!result.success) {
+        result.evidence = await saveEvidence(page, profile);
+      }
+      await recordResult(campaign, profile, result, text);
+      await haltIfTripped(campaign, crawler, result);
+    } finally {
+      Object.assign(state, { current: null, currentStartedAt: null });
+      await campaign.onProgress();
+    }
+  }
+
+  router.addHandler(LABELS.LOGIN, async ({ page }) => {
+    log.info("Checking the Facebook session", { step: "session" });
+    await checkSession(page, campaign, log);
+  });
+
+  router.addHandler(LABELS.PROFILE, async (context) => {
+    const { request, page, crawler } = context;
+    await sendOnce(context, async (profile, text) => {
+      const logger = forProfile(profile.id);
+
+      await logIn(page, campaign, logger, request.url);
+
+      // Some profiles link straight to an existing conversation
+      const threadUrl = await findThreadLink(page);
+      if (threadUrl) {
+        logger.info("Profile links to a conversation", {
+          step: "message-button",
+          threadUrl,
+        });
+        await crawler.addRequests(
+          [
+            {
+              url: threadUrl,
+              uniqueKey: `${request.uniqueKey}#thread`,
+              label: LABELS.THREAD,
+              userData: { profile, text },
+            },
+          ],
+          { forefront: true }
+        );
+        return null;
+      }
+
+      return sendMessageToProfile(page, profile, text, credentials, headless, {
+        dryRun,
+        attachments,
+      });
+    });
+  });
+
+  router.addHandler(LABELS.THREAD, async (context) => {
+    const { page } = context;
+    await sendOnce(context, (profile, text) =>
+      sendMessageToThread(page, profile, text, credentials, headless, {
+        dryRun,
+        attachments,
+      })
+    );
+  });
+
+  return router;
+}
@@ -0,0 +1,72 @@
+import { readCookies, writeCookies } from './cookies.js';
+
+/* ------------------------------ Session status ----------------------------- */
+
+// How the run got its Facebook session, reported as `sessionStatus`
+export const SESSION_STATUS = {
+  // The saved cookies were logged in and Facebook left them as they were
+  REUSED: "reused",
+  // The saved cookies were logged in and Facebook renewed some of them
+  REFRESHED: "refreshed",
+  // The saved cookies were missing or logged out, so the run logged in
+  RELOGGED_IN: "re-logged-in",
+  // Logging in failed, or Facebook showed a checkpoint or block
+  INVALID: "invalid",
+};
+
+// Cookies as Facebook set them: a renewed expiry counts as a change
+function fingerprint(cookies = []) {
+  return cookies
+    .map((c) => [c.domain, c.name, c.value, Math.round(c.expires ?? -1)])
+    .map((parts) => parts.join("|"))
+    .sort()
+    .join("\n");
+}
+
+/**
+ * True when the browser's cookies differ from the saved ones.
+ */
+export function cookiesChanged(saved, current) {
+  return fingerprint(saved || []) !== fingerprint(current);
+}
+
+/**
+ * The login account's session for one crawl: the cookies earlier runs saved
+ * (expired ones dropped), the latest cookies the browser held, and the
+ * session status once it is known.
+ */
+export async function openSession(email) {
+  return {
+    email,
+    saved: await readCookies(email),
+    cookies: null,
+    status: null,
+  };
+}
+
+/**
+ * Post-navigation hook that keeps the browser's latest cookies, so a session
+ * Facebook renews during the run can be saved at the end.
+ */
+export function trackCookies(session) {
+  return async ({ page }) => {
+    Object.assign(session, { cookies: await page.cookies() });
+  };
+}
+
+/**
+ * Saves the browser's latest cookies when they differ from the saved ones.
+ * A reused session whose cookies changed during the run counts as refreshed.
+ * Returns the session status.
+ */
+export async function closeSession(session) {
+  const { cookies, saved, status } = session;
+  if (!cookies || status === SESSION_STATUS.INVALID) return status;
+  if (!cookiesChanged(saved, cookies)) return status;
+
+  await writeCookies(session.email, cookies);
+  if (status === SESSION_STATUS.REUSED) {
+    Object.assign(session, { status: SESSION_STATUS.REFRESHED });
+  }
+  return session.status;
+}
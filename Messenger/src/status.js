@@ -0,0 +1,151 @@
+import { Actor } from 'apify';
+
+import { visitConversations } from './followup.js';
+import { MESSAGE_CONTENT_SELECTOR } from './messenger.js';
+
+// Named dataset, so status snapshots are kept apart from the send results
+export const STATUS_DATASET = "messenger-status";
+
+/* ---------------------------- Reading receipts ---------------------------- */
+
+// Strongest first: a Seen message was also delivered and sent
+const STATUSES = [
+  [/^seen\b/i, "Seen"],
+  [/^delivered/i, "Delivered"],
+  [/^sent/i, "Sent"],
+  [/^sending/i, "Sending"],
+  [/^(failed to send|message failed to send|couldn't send)/i, "Failed"],
+];
+
+// "Seen", "Seen by Terri", "Seen by Terri at 3:15 PM"
+const SEEN_PATTERN = /^seen(?:\s+by\s+(.+?))?(?:\s+at\s+(.+))?$/i;
+
+/**
+ * Reads the receipt indicators Messenger shows on our last message in the
+ * open conversation: [{ label, time }], where `label` is an element's
+ * aria-label or text and `time` the ISO time it carries, if any. The message
+ * itself and later replies are left out, so their text never reads as a
+ * status. Returns null when the conversation shows no message of ours.
+ */
+export async function readIndicators(page) {
+  return page.evaluate((contentSelector) => {
+    const rows = Array.from(document.querySelectorAll('[role="row"]'));
+    const ours = rows.findLastIndex((row) => {
+      const heading = row.querySelector("h4, h5");
+      return (
+        !!heading &&
+        /^you\s+(sent|replied|wrote)\b/i.test(heading.innerText.trim())
+      );
+    });
+    if (ours === -1) return null;
+
+    const stampOf = (el) => {
+      const stamp = el.matches("time[datetime], [data-utime]")
+        ? el
+        : el.querySelector("time[datetime], [data-utime]");
+      if (!stamp) return null;
+      return stamp.hasAttribute("datetime")
+        ? new Date(stamp.getAttribute("datetime")).toISOString()
+        : new Date(Number(stamp.dataset.utime) * 1000).toISOString();
+    };
+
+    return Array.from(rows[ours].querySelectorAll("[aria-label], span"))
+      .filter(
+        (el) =>
+          !el.closest(contentSelector) && !el.querySelector(contentSelector)
+      )
+      .map((el) => ({
+        label: (
+          el.getAttribute("aria-label") ||
+          (el.children.length === 0 ? el.innerText : "")
+        )
+          .replace(/\s+/g, " ")
+          .trim(),
+        time: stampOf(el),
+      }))
+      .filter((indicator) => indicator.label);
+  }, MESSAGE_CONTENT_SELECTOR);
+}
+
+/**
+ * The delivery status the indicators show: { status, seenBy, seenAt, label }.
+ * Status is Seen, Delivered, Sent, Sending or Failed; a message of ours without
+ * any indicator counts as Sent, and `indicators` null (no message of ours)
+ * gives status null. `seenAt` is an ISO time when the receipt carries one.
+ */
+export function deliveryStatus(indicators) {
+  const none = { status: null, seenBy: null, seenAt: null, label: null };
+  if (!indicators) return none;
+
+  let best = null;
+  for (const indicator of indicators) {
+    const rank = STATUSES.findIndex(([pattern]) =>
+      pattern.test(indicator.label)
+    );
+    if (rank !== -1 && (!best || rank < best.rank)) best = { rank, indicator };
+  }
+  if (!best) return { ...none, status: "Sent" };
+
+  const { label, time } = best.indicator;
+  const [, status] = STATUSES[best.rank];
+  if (status !== "Seen") return { ...none, status, label };
+
+  const [, seenBy = null, at] = label.match(SEEN_PATTERN) || [];
+  let seenAt = time;
+  if (!seenAt && at && !Number.isNaN(Date.parse(at))) {
+    seenAt = new Date(at).toISOString();
+  }
+  return { status, seenBy, seenAt: seenAt || null, label };
+}
+
+/* ------------------------------ Status check ------------------------------ */
+
+/**
+ * Revisits each target's conversation (see visitConversations) and pushes a
+ * snapshot of its delivery status to the `messenger-status` dataset, one
+ * record per conversation. Nothing is sent. Returns a summary of the check
+ * with the number of conversations per status.
+ */
+export async function checkStatus(targets, campaign, options = {}) {
+  const dataset = await Actor.openDataset(STATUS_DATASET);
+  const statuses = {};
+
+  const summary = await visitConversations(
+    targets,
+    campaign,
+    async ({ target, page, threadUrl, logger }) => {
+      const status = deliveryStatus(await readIndicators(page));
+      await dataset.pushData({
+        profileId: target.profileId,
+        url: target.url,
+        threadUrl,
+        sentAt: target.sentAt,
+        status: status.status,
+        seenBy: status.seenBy,
+        seenAt: status.seenAt,
+        statusLabel: status.label,
+        checkedAt: new Date().toISOString(),
+      });
+
+      const key = status.status || "Unknown";
+      statuses[key] = (statuses[key] || 0) + 1;
+      logger.info("Checked delivery status", {
+        step: "status",
+        status: status.status,
+        seenAt: status.seenAt,
+      });
+    },
+    options
+  );
+
+  const { conversations, checked, failed, haltedReason, sessionStatus } =
+    summary;
+  return {
+    conversations,
+    checked,
+    statuses,
+    failed,
+    haltedReason,
+    sessionStatus,
+  };
+}
@@ -0,0 +1,115 @@
+import { Actor } from 'apify';
+
+import { log } from './logger.js';
+import {
+  canonicalProfileUrl,
+  canonicalThreadUrl,
+  isThreadUrl,
+  normalizeProfileRef,
+} from './profiles.js';
+
+/* ----------------------- Do-not-contact suppression ----------------------- */
+
+// Named store, so the list outlives individual runs
+export const SUPPRESSION_STORE = "messenger-suppression";
+const SUPPRESSION_KEY = "SUPPRESSION_LIST";
+
+// Entries given without a URL: a Facebook user ID, or a username
+const USER_ID = /^\d+$/;
+const USERNAME = /^[a-z0-9.]*[a-z][a-z0-9.]*$/i;
+
+async function openStore() {
+  return Actor.openKeyValueStore(SUPPRESSION_STORE);
+}
+
+/**
+ * What a list entry or profile URL is matched by: the canonical profile URL
+ * (see canonicalProfileUrl), so every link to the same person matches. A bare
+ * number is a Facebook user ID and a bare username that user's profile;
+ * conversation URLs become the canonical thread URL, and URLs of other sites
+ * are only normalized. Returns null when `value` names no profile.
+ */
+export function suppressionKey(value) {
+  const trimmed = String(value ?? "").trim();
+  if (USER_ID.test(trimmed)) {
+    return `https://www.facebook.com/profile.php?id=${trimmed}`;
+  }
+  if (USERNAME.test(trimmed)) {
+    return `https://www.facebook.com/${trimmed.toLowerCase()}`;
+  }
+  if (!/^[a-z]+:\/\//i.test(trimmed)) return null;
+
+  try {
+    return isThreadUrl(trimmed)
+      ? canonicalThreadUrl({ url: trimmed })
+      : canonicalProfileUrl(trimmed);
+  } catch {
+    return normalizeProfileRef(trimmed);
+  }
+}
+
+/**
+ * Loads the suppression list: a Map of suppressionKey to { value, addedAt }.
+ */
+export async function loadSuppressionList() {
+  const store = await openStore();
+  const entries = (await store.getValue(SUPPRESSION_KEY)) || [];
+  const list = new Map();
+  for (const entry of entries) {
+    const key = suppressionKey(entry.value);
+    if (key) {
+      list.set(key, entry);
+    } else {
+      // Kept by older versions, which also matched the profile entry's id
+      log.warning("Suppression entry names no profile, ignoring it", {
+        step: "suppression",
+        value: entry.value,
+      });
+    }
+  }
+  return list;
+}
+
+/**
+ * Adds and removes entries (profile or conversation URLs, Facebook user IDs
+ * or usernames) and persists the list. Throws before changing anything when
+ * an entry names no profile. Returns the updated list.
+ */
+export async function updateSuppressionList({ add = [], remove = [] } = {}) {
+  const list = await loadSuppressionList();
+  if (add.length === 0 && remove.length === 0) return list;
+
+  const unknown = [...add, ...remove].filter((value) => !suppressionKey(value));
+  if (unknown.length > 0) {
+    throw new Error(
+      `❌ suppression entries must be profile URLs, conversation URLs, Facebook user IDs or usernames: ${unknown
+        .map((value) => `"${value}"`)
+        .join(", ")}`
+    );
+  }
+
+  const addedAt = new Date().toISOString();
+  for (const value of add) {
+    const key = suppressionKey(value);
+    if (!list.has(key)) {
+      list.set(key, { value: String(value).trim(), addedAt });
+    }
+  }
+  for (const value of remove) {
+    list.delete(suppressionKey(value));
+  }
+
+  const store = await openStore();
+  await store.setValue(SUPPRESSION_KEY, [...list.values()]);
+  return list;
+}
+
+/**
+ * True when the profile's URL or conversation is on the suppression list.
+ * The entry's id is only a label and is never matched.
+ */
+export function isSuppressed(list, profile) {
+  return [profile.url, profile.threadUrl]
+    .map((value) => value && suppressionKey(value))
+    .some((key) => key && list.has(key));
+}
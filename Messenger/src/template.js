@@ -0,0 +1,26 @@
+/* --------------------------- Message templating --------------------------- */
+
+// {{name}} or {{ name }}; names are profile object keys
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Renders a message template such as "Hi {{firstName}}" with the fields of a
+ * profile object. Only the object's own fields count, so {{constructor}}
+ * or {{toString}} never render a built-in. Placeholders whose value is
+ * missing, null or blank are collected in `missing` instead of being
+ * rendered as empty text.
+ */
+export function renderTemplate(template, variables = {}) {
+  const missing = [];
+
+  const text = template.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = Object.hasOwn(variables, name) ? variables[name] : undefined;
+    if (value === undefined || value === null || String(value).trim() === "") {
+      if (!missing.includes(name)) missing.push(name);
+      return placeholder;
+    }
+    return String(value);
+  });
+
+  return { text, missing };
+}
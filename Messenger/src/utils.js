@@ -0,0 +1,54 @@
+/* ---------------------------- Utility helpers ---------------------------- */
+
+export function rand(min = 100, max = 1000) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+export function delay(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/* --------------------------- Human-like actions -------------------------- */
+
+export async function humanType(elementHandle, text, opts = {}) {
+  const { min = 80, max = 200 } = opts;
+  await elementHandle.click({ clickCount: 3 }); // Select all existing text
+  await delay(rand(100, 300));
+
+  for (const char of text) {
+    await elementHandle.type(char);
+    await delay(rand(min, max));
+  }
+}
+
+export async function humanMove(page, from, to, steps = 20) {
+  const dx = (to.x - from.x) / steps;
+  const dy = (to.y - from.y) / steps;
+  for (let i = 0; i <= steps; i += 1) {
+    const x = Math.round(from.x + dx * i + (Math.random() * 4 - 2));
+    const y = Math.round(from.y + dy * i + (Math.random() * 4 - 2));
+    await page.mouse.move(x, y);
+    await delay(rand(5, 30));
+  }
+}
+
+export async function humanScroll(page, distance = 300, steps = 10) {
+  for (let i = 0; i < steps; i += 1) {
+    await page.evaluate((amount) => {
+      window.scrollBy(0, amount);
+    }, Math.round(distance / steps));
+    await delay(rand(100, 350));
+  }
+}
+
+export async function humanClick(page, element) {
+  const box = await element.boundingBox();
+  if (box) {
+    const x = box.x + box.width / 2 + rand(-5, 5);
+    const y = box.y + box.height / 2 + rand(-5, 5);
+    await humanMove(page, { x: 100, y: 100 }, { x, y }, 15);
+    await element.click({ delay: rand(50, 150) });
+  }
+}
@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import {
+  APPROVAL_KEY,
+  APPROVAL_STORE,
+  attachmentDigests,
+  createApproval,
+  inputHash,
+  verifyApproval,
+} from '../src/approval.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "approval-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+after(async () => {
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+const agendaPath = path.join(storageDir, "agenda.pdf");
+await writeFile(agendaPath, "%PDF-1.4 agenda v1");
+
+// Resolved as resolveAttachments returns it
+const agenda = {
+  ref: agendaPath,
+  name: "agenda.pdf",
+  source: "file",
+  path: agendaPath,
+  size: 18,
+};
+
+const campaign = {
+  profiles: [
+    { id: "terri", url: "https://www.facebook.com/terri", firstName: "Terri" },
+    { id: "sam", url: "https://www.facebook.com/sam" },
+  ],
+  message: "Hi {{firstName}}, the launch is on Thursday",
+  attachments: [agenda],
+};
+
+describe("attachmentDigests", () => {
+  test("hashes each file's contents", async () => {
+    const [digest] = await attachmentDigests([agenda]);
+    assert.deepEqual(digest, {
+      ref: agendaPath,
+      name: "agenda.pdf",
+      size: 18,
+      sha256: createHash("sha256").update("%PDF-1.4 agenda v1").digest("hex"),
+    });
+  });
+});
+
+describe("inputHash", () => {
+  test("ignores the order of profile fields", () => {
+    const reordered = {
+      ...campaign,
+      profiles: campaign.profiles.map(({ url, id, ...rest }) => ({
+        ...rest,
+        url,
+        id,
+      })),
+    };
+    assert.equal(inputHash(reordered), inputHash(campaign));
+  });
+
+  test("changes with the message, profiles or attachments", () => {
+    const hash = inputHash(campaign);
+    assert.notEqual(inputHash({ ...campaign, message: "Hi" }), hash);
+    assert.notEqual(
+      inputHash({ ...campaign, profiles: campaign.profiles.slice(1) }),
+      hash
+    );
+    assert.notEqual(inputHash({ ...campaign, attachments: [] }), hash);
+  });
+});
+
+describe("approval", () => {
+  test("stores the rendered previews with a token next to OUTPUT", async () => {
+    const approval = await createApproval(campaign);
+
+    assert.match(approval.token, /^[a-f0-9]{32}$/);
+    assert.deepEqual(approval.previews, [
+      {
+        profileId: "terri",
+        url: "https://www.facebook.com/terri",
+        text: "Hi Terri, the launch is on Thursday",
+        missing: [],
+      },
+      {
+        profileId: "sam",
+        url: "https://www.facebook.com/sam",
+        text: "Hi {{firstName}}, the launch is on Thursday",
+        missing: ["firstName"],
+      },
+    ]);
+    assert.deepEqual(await Actor.getValue(APPROVAL_KEY), approval);
+  });
+
+  test("rejects the token once an attachment's contents changed", async () => {
+    const editedPath = path.join(storageDir, "edited.pdf");
+    await writeFile(editedPath, "%PDF-1.4 draft");
+    const edited = { ...agenda, ref: editedPath, path: editedPath };
+    const { token } = await createApproval({
+      ...campaign,
+      attachments: [edited],
+    });
+
+    await writeFile(editedPath, "%PDF-1.4 final");
+    await assert.rejects(
+      verifyApproval(token, { ...campaign, attachments: [edited] }),
+      /input changed since approval token/
+    );
+  });
+
+  test("lets only the run that first used the token use it again", async () => {
+    const { token } = await createApproval(campaign);
+    await verifyApproval(token, campaign);
+    // The same run, resumed after a migration
+    await verifyApproval(token, campaign);
+
+    process.env.ACTOR_RUN_ID = "second-run";
+    try {
+      await assert.rejects(
+        verifyApproval(token, campaign),
+        /was already used by run local/
+      );
+    } finally {
+      delete process.env.ACTOR_RUN_ID;
+    }
+  });
+
+  test("leaves the token unclaimed in a dry run", async () => {
+    const { token } = await createApproval(campaign);
+    const checked = await verifyApproval(token, campaign, { dryRun: true });
+    assert.equal(checked.approvedRunId, undefined);
+
+    process.env.ACTOR_RUN_ID = "sending-run";
+    try {
+      const approval = await verifyApproval(token, campaign);
+      assert.equal(approval.approvedRunId, "sending-run");
+    } finally {
+      delete process.env.ACTOR_RUN_ID;
+    }
+  });
+
+  test("rejects an expired token", async () => {
+    const approval = await createApproval(campaign);
+    assert.equal(
+      Date.parse(approval.expiresAt) - Date.parse(approval.createdAt),
+      7 * 24 * 60 * 60 * 1000
+    );
+
+    const store = await Actor.openKeyValueStore(APPROVAL_STORE);
+    await store.setValue(`approval-${approval.token}`, {
+      ...approval,
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+    await assert.rejects(
+      verifyApproval(approval.token, campaign),
+      /has expired/
+    );
+  });
+
+  test("accepts the token for the same input only", async () => {
+    const { token } = await createApproval(campaign);
+
+    const approval = await verifyApproval(token, campaign);
+    assert.equal(approval.token, token);
+    assert.ok(Date.parse(approval.usedAt));
+    assert.equal((await Actor.getValue(APPROVAL_KEY)).usedAt, approval.usedAt);
+
+    await assert.rejects(
+      verifyApproval(token, { ...campaign, message: "Hi everyone" }),
+      /input changed since approval token/
+    );
+    await assert.rejects(
+      verifyApproval("0123456789abcdef", campaign),
+      /approval token "0123456789abcdef" is unknown/
+    );
+  });
+});
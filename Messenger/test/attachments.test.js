@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import {
+  attachmentStatus,
+  matchDelivered,
+  resolveAttachments,
+} from '../src/attachments.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "attachments-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+after(async () => {
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+describe("resolveAttachments", () => {
+  let localFile;
+
+  before(async () => {
+    localFile = path.join(storageDir, "price-list.pdf");
+    await writeFile(localFile, "%PDF-1.4 prices");
+  });
+
+  test("uses local files as they are", async () => {
+    const [attachment] = await resolveAttachments([localFile]);
+
+    assert.deepEqual(attachment, {
+      ref: localFile,
+      name: "price-list.pdf",
+      source: "file",
+      path: localFile,
+      size: 15,
+    });
+  });
+
+  test("writes key-value store records to files named after the key", async () => {
+    await Actor.setValue("banner", Buffer.from([1, 2, 3]), {
+      contentType: "image/jpeg",
+    });
+    await Actor.setValue("notes.txt", "See you soon", {
+      contentType: "text/plain",
+    });
+
+    const [banner, notes] = await resolveAttachments(["banner", "notes.txt"]);
+
+    assert.equal(banner.name, "banner.jpg");
+    assert.equal(banner.source, "key-value store");
+    assert.deepEqual([...(await readFile(banner.path))], [1, 2, 3]);
+    assert.equal(notes.name, "notes.txt");
+    assert.equal(await readFile(notes.path, "utf8"), "See you soon");
+  });
+
+  test("keeps the input order", async () => {
+    const names = (await resolveAttachments(["banner", localFile])).map(
+      (a) => a.name
+    );
+
+    assert.deepEqual(names, ["banner.jpg", "price-list.pdf"]);
+  });
+
+  test("rejects entries that are neither a file nor a record", async () => {
+    await assert.rejects(
+      resolveAttachments(["/no/such/file.png"]),
+      /"\/no\/such\/file.png" is neither a local file nor a key-value store record/
+    );
+    await assert.rejects(resolveAttachments(["missing-key"]), /missing-key/);
+  });
+});
+
+describe("attachmentStatus", () => {
+  test("marks the attachments that arrived as delivered", () => {
+    const attachments = [
+      { ref: "a", name: "a.png", source: "key-value store" },
+      { ref: "/tmp/b.pdf", name: "b.pdf", source: "file" },
+    ];
+
+    assert.deepEqual(attachmentStatus(attachments, ["b.pdf"]), [
+      { name: "a.png", ref: "a", source: "key-value store", delivered: false },
+      { name: "b.pdf", ref: "/tmp/b.pdf", source: "file", delivered: true },
+    ]);
+  });
+});
+
+describe("matchDelivered", () => {
+  const attachments = [
+    { ref: "a", name: "brochure.pdf" },
+    { ref: "b", name: "photo.png" },
+  ];
+
+  test("matches files by name and photos to unnamed images", () => {
+    const added = [
+      { label: "brochure.pdf", image: false },
+      { label: "", image: true },
+    ];
+
+    assert.deepEqual(matchDelivered(attachments, added), [
+      "brochure.pdf",
+      "photo.png",
+    ]);
+  });
+
+  test("never counts an unnamed entry as a file", () => {
+    const added = [
+      { label: "", image: false },
+      { label: "Open photo", image: true },
+    ];
+
+    assert.deepEqual(matchDelivered(attachments, added), ["photo.png"]);
+    assert.deepEqual(
+      matchDelivered([attachments[0]], [{ label: "", image: true }]),
+      []
+    );
+  });
+});
@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import {
+  AUDIT_DATASET,
+  AUDIT_EXPORT_KEY,
+  exportAudit,
+  formatAttempts,
+  listAttempts,
+  recordAttempt,
+} from '../src/audit.js';
+import { hashMessage } from '../src/ledger.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "audit-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+after(async () => {
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+const campaign = {
+  credentials: { email: " Tester@Example.com", password: "secret" },
+  operator: "ops@example.com",
+  attachments: [
+    { ref: "agenda.pdf", name: "agenda.pdf", size: 1200, path: "/tmp/a" },
+  ],
+};
+const profile = { id: "terri", url: "https://www.facebook.com/terri" };
+
+describe("recordAttempt", () => {
+  test("appends the attempt without the login email", async () => {
+    await recordAttempt(
+      campaign,
+      { profile, text: "Hi Terri", startedAt: "2026-03-01T10:00:00.000Z" },
+      {
+        result: {
+          success: true,
+          messageSent: "Yes",
+          deliveryStatus: "Delivered",
+          attachments: [
+            { name: "agenda.pdf", ref: "agenda.pdf", delivered: true },
+          ],
+        },
+      }
+    );
+    await recordAttempt(
+      campaign,
+      { profile, text: "Hi Terri", startedAt: "2026-03-02T09:00:00.000Z" },
+      { error: new Error("Navigation timeout of 30000 ms exceeded") }
+    );
+    await recordAttempt(
+      campaign,
+      { profile, text: "Hi Terri", startedAt: "2026-03-03T08:00:00.000Z" },
+      {
+        result: {
+          success: false,
+          messageSent: "No",
+          errorCode: "INTERRUPTED",
+          error: "Run restarted while this profile was being processed",
+        },
+      }
+    );
+
+    const dataset = await Actor.openDataset(AUDIT_DATASET);
+    const { items } = await dataset.getData();
+    assert.equal(items.length, 3);
+
+    const [sent, failed, interrupted] = items;
+    assert.equal(sent.outcome, "sent");
+    assert.equal(sent.operator, "ops@example.com");
+    assert.equal(sent.runId, "local");
+    assert.equal(sent.textHash, hashMessage("Hi Terri"));
+    assert.match(sent.accountHash, /^[a-f0-9]{64}$/);
+    assert.ok(!JSON.stringify(sent).toLowerCase().includes("tester@example"));
+    assert.deepEqual(sent.attachments, [
+      { ref: "agenda.pdf", name: "agenda.pdf", size: 1200, delivered: true },
+    ]);
+
+    assert.equal(failed.outcome, "failed");
+    assert.equal(failed.errorCode, "NAVIGATION_TIMEOUT");
+    assert.equal(failed.attachments[0].delivered, false);
+    assert.equal(failed.accountHash, sent.accountHash);
+
+    assert.equal(interrupted.outcome, "unknown");
+    assert.equal(interrupted.errorCode, "INTERRUPTED");
+  });
+});
+
+describe("audit export", () => {
+  test("lists the attempts in a date range", async () => {
+    const day = await listAttempts({ from: "2026-03-02", to: "2026-03-02" });
+    assert.deepEqual(
+      day.map((r) => r.startedAt),
+      ["2026-03-02T09:00:00.000Z"]
+    );
+    assert.equal((await listAttempts({ to: "2026-03-01" })).length, 1);
+    assert.equal((await listAttempts()).length, 3);
+    await assert.rejects(
+      listAttempts({ from: "last week" }),
+      /auditFrom must be a date/
+    );
+  });
+
+  test("formats CSV with quoted cells", () => {
+    const csv = formatAttempts(
+      [
+        {
+          startedAt: "2026-03-01T10:00:00.000Z",
+          profileId: "terri",
+          attachments: [{ name: "a.pdf" }],
+          error: 'Said "no", twice',
+        },
+      ],
+      "csv"
+    );
+    const [header, row] = csv.split("\r\n");
+
+    assert.match(header, /^startedAt,finishedAt,runId,/);
+    assert.match(row, /^2026-03-01T10:00:00.000Z,,,/);
+    assert.ok(row.includes(',"[{""name"":""a.pdf""}]",'));
+    assert.ok(row.endsWith(',"Said ""no"", twice"'));
+  });
+
+  test("keeps spreadsheets from running cells as formulas", () => {
+    const cells = ["=HYPERLINK(1)", "+1", "-1", "@SUM(A1)", "\tcmd", '=1,"2"'];
+    const csv = formatAttempts(
+      cells.map((operator) => ({ operator })),
+      "csv"
+    );
+    const operators = csv
+      .split("\r\n")
+      .slice(1, -1)
+      .map((row) => row.split(",").slice(3).join(",").replace(/,+$/, ""));
+
+    assert.deepEqual(operators, [
+      "'=HYPERLINK(1)",
+      "'+1",
+      "'-1",
+      "'@SUM(A1)",
+      "'\tcmd",
+      `"'=1,""2"""`,
+    ]);
+  });
+
+  test("writes the export to the key-value store", async () => {
+    assert.deepEqual(await exportAudit({ from: "2026-03-01" }), {
+      records: 3,
+      format: "jsonl",
+      key: AUDIT_EXPORT_KEY,
+    });
+    const lines = String(await Actor.getValue(AUDIT_EXPORT_KEY))
+      .trim()
+      .split("\n");
+    assert.deepEqual(
+      lines.map((line) => JSON.parse(line).outcome),
+      ["sent", "failed", "unknown"]
+    );
+
+    await exportAudit({ format: "csv" });
+    const csv = String(await Actor.getValue(AUDIT_EXPORT_KEY));
+    assert.equal(csv.trim().split("\r\n").length, 4);
+
+    await assert.rejects(exportAudit({ format: "xml" }), /auditFormat/);
+  });
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { tripReason } from '../src/breaker.js';
+
+function campaign(options = {}) {
+  return { state: { results: [] }, maxConsecutiveFailures: 3, ...options };
+}
+
+const failure = (profileId) => ({
+  success: false,
+  profileId,
+  errorCode: "NO_MESSAGE_BUTTON",
+  error: "Profile unavailable or no messaging option found",
+});
+
+describe("tripReason", () => {
+  test("trips at once on a restricted account", () => {
+    const reason = tripReason(campaign(), {
+      success: false,
+      profileId: "p-7",
+      errorCode: "ACCOUNT_RESTRICTED",
+      error: "Account restricted: Facebook showed checkpoint page",
+    });
+
+    assert.equal(
+      reason,
+      "Account restricted: Facebook showed checkpoint page (profile p-7)"
+    );
+  });
+
+  test("trips at once when the account cannot log in", () => {
+    for (const errorCode of ["LOGIN_FAILED", "CAPTCHA_BLOCKED"]) {
+      const c = campaign({ maxConsecutiveFailures: 0 });
+      assert.equal(
+        tripReason(c, {
+          success: false,
+          errorCode,
+          error: "Login failed: still on the login page",
+        }),
+        "Login failed: still on the login page"
+      );
+    }
+  });
+
+  test("trips after the configured number of failures in a row", () => {
+    const c = campaign();
+
+    assert.equal(tripReason(c, failure("p-1")), null);
+    assert.equal(tripReason(c, failure("p-2")), null);
+    assert.match(
+      tripReason(c, failure("p-3")),
+      /^3 profiles in a row failed, the last with NO_MESSAGE_BUTTON/
+    );
+  });
+
+  test("a success resets the streak", () => {
+    const c = campaign();
+
+    tripReason(c, failure("p-1"));
+    tripReason(c, failure("p-2"));
+    tripReason(c, { success: true, profileId: "p-3" });
+    assert.equal(tripReason(c, failure("p-4")), null);
+    assert.equal(c.state.consecutiveFailures, 1);
+  });
+
+  test("never counts failures when turned off or in a dry run", () => {
+    for (const c of [
+      campaign({ maxConsecutiveFailures: 0 }),
+      campaign({ dryRun: true }),
+    ]) {
+      for (let i = 0; i < 5; i++) {
+        assert.equal(tripReason(c, failure(`p-${i}`)), null);
+      }
+    }
+  });
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import { CREDENTIALS_KEY, resolveCredentials } from '../src/credentials.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "credentials-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+describe("resolveCredentials", () => {
+  beforeEach(async () => {
+    delete process.env.LOGIN_EMAIL;
+    delete process.env.LOGIN_PASSWORD;
+    await Actor.setValue(CREDENTIALS_KEY, null);
+  });
+
+  after(async () => {
+    await rm(storageDir, { recursive: true, force: true });
+  });
+
+  test("prefers the Actor input over the environment and key-value store", async () => {
+    process.env.LOGIN_EMAIL = "env@example.com";
+    process.env.LOGIN_PASSWORD = "env-secret";
+    await Actor.setValue(CREDENTIALS_KEY, {
+      email: "kv@example.com",
+      password: "kv-secret",
+    });
+
+    const credentials = await resolveCredentials({
+      email: "input@example.com",
+      password: "input-secret",
+    });
+
+    assert.equal(credentials.email, "input@example.com");
+    assert.equal(credentials.password, "input-secret");
+    assert.deepEqual(credentials.sources, {
+      email: "input",
+      password: "input",
+    });
+  });
+
+  test("falls back field by field to the environment, then the key-value store", async () => {
+    process.env.LOGIN_PASSWORD = "env-secret";
+    await Actor.setValue(CREDENTIALS_KEY, {
+      email: "kv@example.com",
+      password: "kv-secret",
+    });
+
+    const credentials = await resolveCredentials({});
+
+    assert.equal(credentials.email, "kv@example.com");
+    assert.equal(credentials.password, "env-secret");
+    assert.deepEqual(credentials.sources, {
+      email: "key-value store",
+      password: "env",
+    });
+  });
+
+  test("ignores blank values", async () => {
+    process.env.LOGIN_EMAIL = "env@example.com";
+
+    const credentials = await resolveCredentials({
+      email: "  ",
+      password: "input-secret",
+    });
+
+    assert.equal(credentials.email, "env@example.com");
+  });
+
+  test("fails with the missing fields named when nothing provides them", async () => {
+    await assert.rejects(
+      resolveCredentials({ email: "input@example.com" }),
+      /Missing Facebook login password\./
+    );
+    await assert.rejects(
+      resolveCredentials({}),
+      /Missing Facebook login email and password\./
+    );
+  });
+});
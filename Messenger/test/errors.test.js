@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { NonRetryableError } from 'crawlee';
+
+import {
+  ERROR_CODES,
+  errorCode,
+  errorFields,
+  MessengerError,
+  withCode,
+} from '../src/errors.js';
+
+describe("errorCode", () => {
+  test("uses the code of a MessengerError", () => {
+    const err = new MessengerError(ERROR_CODES.NO_MESSAGE_BUTTON, "No button");
+    assert.equal(errorCode(err), "NO_MESSAGE_BUTTON");
+  });
+
+  test("classifies navigation timeouts and network errors", () => {
+    const timeout = new Error("Navigation timed out after 45 seconds.");
+    timeout.name = "TimeoutError";
+    assert.equal(errorCode(timeout), "NAVIGATION_TIMEOUT");
+    assert.equal(
+      errorCode(new Error("net::ERR_NAME_NOT_RESOLVED at https://x.invalid")),
+      "NAVIGATION_FAILED"
+    );
+  });
+
+  test("falls back to UNKNOWN", () => {
+    assert.equal(errorCode(new Error("Something odd")), "UNKNOWN");
+  });
+});
+
+describe("withCode", () => {
+  test("keeps an error that already has a code", () => {
+    const err = new MessengerError(ERROR_CODES.CAPTCHA_BLOCKED, "CAPTCHA");
+    assert.equal(withCode(err, ERROR_CODES.LOGIN_FAILED), err);
+  });
+
+  test("wraps other errors without losing their message or stack", () => {
+    const original = new Error("Waiting for selector failed");
+    const wrapped = withCode(original, ERROR_CODES.LOGIN_FAILED);
+
+    assert.ok(wrapped instanceof NonRetryableError);
+    assert.equal(wrapped.code, "LOGIN_FAILED");
+    assert.equal(wrapped.message, original.message);
+    assert.equal(wrapped.cause, original);
+    assert.deepEqual(errorFields(wrapped), {
+      errorCode: "LOGIN_FAILED",
+      error: "Waiting for selector failed",
+      errorStack: original.stack,
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import { saveEvidence, watchConsole } from '../src/evidence.js';
+import { registerSecrets } from '../src/logger.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "evidence-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+// Just enough of a Puppeteer page for saveEvidence
+function fakePage({ screenshotError } = {}) {
+  const page = new EventEmitter();
+  page.url = () => "https://www.facebook.com/terri.lopez";
+  page.content = async () =>
+    "<html><body><h1>Terri</h1><p>hunter2</p></body></html>";
+  page.screenshot = async () => {
+    if (screenshotError) throw new Error(screenshotError);
+    return Buffer.from("png-bytes");
+  };
+  return page;
+}
+
+describe("failure evidence", () => {
+  after(async () => {
+    await rm(storageDir, { recursive: true, force: true });
+  });
+
+  test("saves a screenshot, the HTML, the URL and the console log", async () => {
+    registerSecrets("hunter2");
+    const page = fakePage();
+    watchConsole(page);
+    page.emit("console", { type: () => "log", text: () => "chat loaded" });
+    page.emit("pageerror", new Error("x is not defined"));
+
+    const evidence = await saveEvidence(page, { id: "profile/001" });
+
+    assert.equal(evidence.pageUrl, "https://www.facebook.com/terri.lopez");
+    assert.equal(evidence.screenshot.key, "evidence-profile_001-screenshot");
+    assert.equal(evidence.html.key, "evidence-profile_001-html");
+    assert.equal(evidence.details.key, "evidence-profile_001-details");
+    assert.ok(evidence.html.url);
+
+    const screenshot = await Actor.getValue(evidence.screenshot.key);
+    assert.equal(screenshot.toString(), "png-bytes");
+
+    const html = (await Actor.getValue(evidence.html.key)).toString();
+    assert.match(html, /<h1>Terri<\/h1>/);
+    assert.doesNotMatch(html, /hunter2/);
+
+    const details = await Actor.getValue(evidence.details.key);
+    assert.equal(details.profileId, "profile/001");
+    assert.equal(details.url, "https://www.facebook.com/terri.lopez");
+    assert.equal(details.console.length, 2);
+    assert.match(details.console[0], /\[log\] chat loaded$/);
+    assert.match(details.console[1], /\[pageerror\] x is not defined$/);
+  });
+
+  test("keeps the parts that could be captured", async () => {
+    const evidence = await saveEvidence(
+      fakePage({ screenshotError: "Target closed" }),
+      { id: "profile-002" }
+    );
+
+    assert.equal(evidence.screenshot, undefined);
+    assert.equal(evidence.html.key, "evidence-profile-002-html");
+    const details = await Actor.getValue(evidence.details.key);
+    assert.deepEqual(details.console, []);
+  });
+});
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import { sentConversations } from '../src/followup.js';
+import { recordSend } from '../src/ledger.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "followup-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+after(async () => {
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+describe("sentConversations", () => {
+  test("reads the latest send per person from the ledger", async () => {
+    await recordSend(
+      { id: "terri", url: "https://www.facebook.com/terri.lopez" },
+      "Hi Terri",
+      "https://www.facebook.com/messages/t/100012345"
+    );
+    await recordSend(
+      { id: "sam", url: "https://www.facebook.com/sam.lee" },
+      "Hi Sam"
+    );
+
+    const targets = await sentConversations();
+    assert.deepEqual(
+      targets
+        .map(({ profileId, threadUrl }) => ({ profileId, threadUrl }))
+        .sort((a, b) => a.profileId.localeCompare(b.profileId)),
+      [
+        { profileId: "sam", threadUrl: null },
+        {
+          profileId: "terri",
+          threadUrl: "https://www.facebook.com/messages/t/100012345",
+        },
+      ]
+    );
+    assert.ok(targets.every((target) => Date.parse(target.sentAt)));
+  });
+
+  test("limits the targets to the given profiles", async () => {
+    const targets = await sentConversations({
+      profiles: [{ id: "x", url: "https://m.facebook.com/Sam.Lee?ref=share" }],
+    });
+
+    assert.deepEqual(
+      targets.map((target) => target.profileId),
+      ["sam"]
+    );
+  });
+
+  test("reads the sent records of an earlier run's dataset", async () => {
+    const dataset = await Actor.openDataset("earlier-run");
+    await dataset.pushData([
+      {
+        profileId: "ana",
+        url: "https://www.facebook.com/ana",
+        messageSent: "Yes",
+        sentAt: "2026-03-01T10:00:00.000Z",
+        timestamp: "2026-03-01T10:00:05.000Z",
+      },
+      {
+        profileId: "ana",
+        url: "https://www.facebook.com/ana",
+        messageSent: "Yes",
+        timestamp: "2026-03-02T10:00:05.000Z",
+      },
+      {
+        profileId: "bo",
+        url: "https://www.facebook.com/bo",
+        messageSent: "No",
+        timestamp: "2026-03-02T11:00:00.000Z",
+      },
+      {
+        profileId: "cy",
+        url: "https://www.facebook.com/cy",
+        messageSent: "Yes",
+        dryRun: true,
+        timestamp: "2026-03-02T11:00:00.000Z",
+      },
+    ]);
+
+    assert.deepEqual(
+      await sentConversations({ sourceDatasetId: "earlier-run" }),
+      [
+        {
+          profileId: "ana",
+          url: "https://www.facebook.com/ana",
+          threadUrl: null,
+          sentAt: "2026-03-02T10:00:05.000Z",
+        },
+      ]
+    );
+  });
+});
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, test } from 'node:test';
+
+import {
+  getLedgerEntry,
+  hashMessage,
+  recordSend,
+  sentWithinWindow,
+} from '../src/ledger.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "ledger-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+describe("send ledger", () => {
+  after(async () => {
+    await rm(storageDir, { recursive: true, force: true });
+  });
+
+  test("records a send under the canonical profile ID", async () => {
+    await recordSend(
+      { id: "profile-001", url: "https://www.facebook.com/terri.lopez/" },
+      "Hi Terri"
+    );
+
+    const entry = await getLedgerEntry({
+      id: "another-label",
+      url: "https://m.facebook.com/terri.lopez?ref=bookmarks",
+    });
+    assert.equal(entry.canonicalId, "facebook.com/terri.lopez");
+    assert.equal(entry.profileId, "profile-001");
+    assert.equal(entry.messageHash, hashMessage("Hi Terri"));
+    assert.equal(entry.runId, "local");
+    assert.ok(Date.parse(entry.sentAt));
+  });
+
+  test("returns null for profiles never messaged", async () => {
+    assert.equal(
+      await getLedgerEntry({ url: "https://www.facebook.com/nobody" }),
+      null
+    );
+  });
+
+  test("checks whether a send is inside the window", () => {
+    const now = Date.parse("2025-06-30T00:00:00Z");
+    const entry = { sentAt: "2025-06-25T00:00:00Z" };
+
+    assert.equal(sentWithinWindow(entry, 7, now), true);
+    assert.equal(sentWithinWindow(entry, 3, now), false);
+    assert.equal(sentWithinWindow(entry, 0, now), false);
+    assert.equal(sentWithinWindow(null, 7, now), false);
+  });
+});
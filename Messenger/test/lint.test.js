@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import {
+  blockingFindings,
+  lintMessage,
+  MAX_MESSAGE_LENGTH,
+} from '../src/lint.js';
+
+const profiles = [
+  { id: "terri", url: "https://www.facebook.com/terri", firstName: "Terri" },
+  { id: "sam", url: "https://www.facebook.com/sam", firstName: "Sam" },
+];
+
+const codes = (findings) => findings.map((f) => `${f.code}:${f.severity}`);
+
+describe("lintMessage", () => {
+  test("passes a personalized message", () => {
+    assert.deepEqual(
+      lintMessage("Hi {{firstName}}, how are you?", profiles),
+      []
+    );
+  });
+
+  test("rejects messages over the length limit", () => {
+    const findings = lintMessage(
+      `Hi {{firstName}} ${"a".repeat(MAX_MESSAGE_LENGTH - 7)}`,
+      profiles
+    );
+
+    // "Terri" is one character longer than "Sam"
+    assert.deepEqual(findings, [
+      {
+        code: "MESSAGE_TOO_LONG",
+        severity: "error",
+        message: "Message is over Messenger's limit of 20000 characters",
+        profiles: ["terri"],
+      },
+    ]);
+  });
+
+  test("rejects placeholders the template cannot fill", () => {
+    assert.deepEqual(codes(lintMessage("Hi {{first name}}", profiles)), [
+      "UNRESOLVED_PLACEHOLDER:error",
+      "IDENTICAL_MESSAGES:warning",
+    ]);
+    assert.deepEqual(codes(lintMessage("Hi {{firstName", profiles)), [
+      "UNRESOLVED_PLACEHOLDER:error",
+      "IDENTICAL_MESSAGES:warning",
+    ]);
+  });
+
+  test("warns about profiles missing a field, and rejects when all are", () => {
+    const partial = lintMessage("Hi {{firstName}}", [
+      ...profiles,
+      { id: "ana", url: "https://www.facebook.com/ana" },
+    ]);
+    assert.deepEqual(partial, [
+      {
+        code: "MISSING_FIELDS",
+        severity: "warning",
+        message: "No value for {{firstName}}; these profiles are skipped",
+        profiles: ["ana"],
+      },
+    ]);
+
+    assert.deepEqual(codes(lintMessage("Hi {{nickname}}", profiles)), [
+      "MISSING_FIELDS:error",
+    ]);
+    assert.deepEqual(codes(lintMessage("Hi {{toString}}", profiles)), [
+      "MISSING_FIELDS:error",
+    ]);
+  });
+
+  test("flags links, invisible and control characters", () => {
+    const findings = lintMessage(
+      "Hi {{firstName}}\u0007\u200B, see https://example.com/launch",
+      profiles
+    );
+
+    assert.deepEqual(codes(findings), [
+      "BARE_URL:warning",
+      "INVISIBLE_CHARACTERS:warning",
+      "CONTROL_CHARACTERS:error",
+    ]);
+    assert.equal(
+      findings[0].message,
+      "Messenger shows a link preview for https://example.com/launch"
+    );
+    assert.match(findings[1].message, /U\+200B$/);
+    assert.match(findings[2].message, /U\+0007$/);
+  });
+
+  test("warns when every profile gets the same text", () => {
+    assert.deepEqual(lintMessage("Hello there", profiles), [
+      {
+        code: "IDENTICAL_MESSAGES",
+        severity: "warning",
+        message:
+          "Every profile gets the same text; personalize it with {{placeholders}}",
+      },
+    ]);
+    assert.deepEqual(lintMessage("Hello there", profiles.slice(0, 1)), []);
+  });
+});
+
+describe("blockingFindings", () => {
+  test("keeps only the errors", () => {
+    const findings = lintMessage("Hi {{first name}}", profiles);
+    assert.deepEqual(codes(blockingFindings(findings)), [
+      "UNRESOLVED_PLACEHOLDER:error",
+    ]);
+  });
+});
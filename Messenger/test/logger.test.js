@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { forProfile, log, redact, registerSecrets } from '../src/logger.js';
+
+registerSecrets("owner@example.com", "hunter2");
+
+describe("redact", () => {
+  test("masks fields marked isSecret in the input schema", () => {
+    assert.deepEqual(
+      redact({ input: { password: "anything", message: "Hi" } }),
+      {
+        input: { password: "***", message: "Hi" },
+      }
+    );
+  });
+
+  test("masks registered secrets wherever they appear", () => {
+    assert.equal(
+      redact("Logging in as owner@example.com with hunter2"),
+      "Logging in as *** with ***"
+    );
+    assert.deepEqual(redact({ key: "cookies-owner@example.com" }), {
+      key: "cookies-***",
+    });
+  });
+
+  test("masks cookie values but keeps their names", () => {
+    assert.deepEqual(
+      redact({
+        cookies: [{ name: "c_user", value: "100001", domain: ".facebook.com" }],
+      }),
+      { cookies: [{ name: "c_user", value: "***", domain: ".facebook.com" }] }
+    );
+    assert.deepEqual(redact({ cookie: "c_user=100001; xs=abc" }), {
+      cookie: "c_user=***; xs=***",
+    });
+  });
+});
+
+describe("log", () => {
+  test("writes redacted JSON entries tagged with the profile", () => {
+    const lines = [];
+    const { logger } = log.getOptions();
+    const onLine = (line) => lines.push(line);
+    logger.on("line", onLine);
+    try {
+      forProfile("profile-001").info("Typing hunter2", {
+        step: "type",
+        durationMs: 12,
+      });
+    } finally {
+      logger.off("line", onLine);
+    }
+
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.msg, "Typing ***");
+    assert.equal(entry.profileId, "profile-001");
+    assert.equal(entry.step, "type");
+    assert.equal(entry.durationMs, 12);
+  });
+});
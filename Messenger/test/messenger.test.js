@@ -0,0 +1,800 @@
+/**
+ * End-to-end tests for the Messenger flows, driven through real Puppeteer
+ * against the offline mock site in test/mock-site.
+ *
+ * Chrome is taken from Puppeteer's cache or PUPPETEER_EXECUTABLE_PATH. When it
+ * cannot be launched the browser tests are skipped with the launch error.
+ */
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+import puppeteer from 'puppeteer';
+
+import { resolveAttachments } from '../src/attachments.js';
+import { listAttempts } from '../src/audit.js';
+import { cookieKey } from '../src/cookies.js';
+import { profileRequest, runCampaign } from '../src/crawler.js';
+import { sentConversations } from '../src/followup.js';
+import { getLedgerEntry, hashMessage } from '../src/ledger.js';
+import { getQuotaUsage } from '../src/quota.js';
+import { collectReplies, REPLIES_DATASET } from '../src/replies.js';
+import { checkStatus, STATUS_DATASET } from '../src/status.js';
+import { updateSuppressionList } from '../src/suppression.js';
+import { startMockSite } from './mock-site/server.js';
+
+const EMAIL = "tester@example.com";
+const PASSWORD = "correct horse battery staple";
+const CREDENTIALS = { email: EMAIL, password: PASSWORD };
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "messenger-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+const LAUNCH_OPTIONS = { headless: true, args: ["--no-sandbox"] };
+
+// Leaving the browser suite out must be asked for: a Chrome that fails to
+// launch otherwise fails it, so its coverage cannot quietly drop out of CI
+const SKIP_BROWSER_TESTS = process.env.SKIP_BROWSER_TESTS === "1";
+
+async function datasetItems() {
+  const dataset = await Actor.openDataset();
+  const { items } = await dataset.getData();
+  return items;
+}
+
+// A port nothing listens on, so every navigation to it is refused. Chrome
+// blocks well-known ports such as 9 before connecting, so take a free one
+async function closedPort() {
+  const server = createServer();
+  await new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", resolve);
+  });
+  const { port } = server.address();
+  await new Promise((resolve) => {
+    server.close(resolve);
+  });
+  return port;
+}
+
+const suiteOptions = {
+  skip: SKIP_BROWSER_TESTS ? "SKIP_BROWSER_TESTS is set" : false,
+  timeout: 10 * 60 * 1000,
+};
+
+after(async () => {
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+describe("runCampaign against the mock site", suiteOptions, () => {
+  let site;
+  let queues = 0;
+  let runs = 0;
+
+  // Every call gets its own request queue and session pool, as a separate
+  // Actor run would; only the saved cookies carry the login over
+  async function run(profiles, options = {}) {
+    const {
+      state = { planned: false, current: null, results: [] },
+      requestQueue = await Actor.openRequestQueue(`test-${++queues}`),
+      ...campaign
+    } = options;
+
+    return runCampaign(
+      profiles,
+      {
+        credentials: CREDENTIALS,
+        headless: true,
+        homeUrl: site.url,
+        state,
+        onProgress: async () => {},
+        ...campaign,
+      },
+      {
+        requestQueue,
+        sessionPoolOptions: {
+          maxPoolSize: 1,
+          persistStateKey: `test-sessions-${++runs}`,
+        },
+        launchContext: { launcher: puppeteer, launchOptions: LAUNCH_OPTIONS },
+      }
+    );
+  }
+
+  before(async () => {
+    try {
+      const browser = await puppeteer.launch(LAUNCH_OPTIONS);
+      await browser.close();
+    } catch (err) {
+      throw new Error(
+        `Chrome could not be launched; set SKIP_BROWSER_TESTS=1 to skip the browser tests: ${err.message}`,
+        { cause: err }
+      );
+    }
+    await Actor.init();
+    site = await startMockSite({
+      email: EMAIL,
+      password: PASSWORD,
+      profiles: {
+        alice: { name: "Alice Example", messageable: true },
+        bob: { name: "Bob Example", messageable: false },
+        carol: { name: "Carol Example", threadLink: true },
+        dave: { name: "Dave Example", messageable: true, failDelivery: true },
+        eve: { name: "Eve Example", messageable: true, blocked: true },
+        partners: { name: "Partner Launch Team", participants: 5 },
+        grace: { name: "Grace Example", messageable: true },
+        heidi: { name: "Heidi Example", threadLink: true },
+        ivan: { name: "Ivan Example", messageable: true },
+        judy: { name: "Judy Example", messageable: true },
+        kim: { name: "Kim Example", messageable: true },
+        leo: { name: "Leo Example", messageable: true, emojiImages: true },
+      },
+    });
+  });
+
+  beforeEach(() => {
+    site.messages.length = 0;
+    site.visits.length = 0;
+  });
+
+  after(async () => {
+    // Not started when Chrome could not be launched
+    await site?.close();
+    await Actor.exit({ exit: false });
+  });
+
+  test("logs in when redirected to the login page and saves the session cookies", async () => {
+    const state = { planned: false, current: null, results: [] };
+    const [result] = await run(
+      [{ id: "login-alice", url: `${site.url}/profile/alice` }],
+      { message: "Hi after login", state }
+    );
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(site.logins, 1);
+    assert.equal(state.sessionStatus, "re-logged-in");
+
+    const cookies = await Actor.getValue(cookieKey(EMAIL));
+    assert.ok(cookies.some((cookie) => cookie.name === "c_user"));
+  });
+
+  test("reuses a saved session that is still logged in", async () => {
+    const state = { planned: false, current: null, results: [] };
+    const [result] = await run(
+      [{ id: "reuse-alice", url: `${site.url}/profile/alice` }],
+      { message: "Hi again", state }
+    );
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(site.logins, 1);
+    assert.equal(state.sessionStatus, "reused");
+  });
+
+  test("drops expired cookies and logs in again", async () => {
+    const saved = await Actor.getValue(cookieKey(EMAIL));
+    const expired = Math.floor(Date.now() / 1000) - 60;
+    await Actor.setValue(
+      cookieKey(EMAIL),
+      saved.map((cookie) => ({ ...cookie, expires: expired }))
+    );
+
+    const state = { planned: false, current: null, results: [] };
+    const [result] = await run(
+      [{ id: "expired-alice", url: `${site.url}/profile/alice` }],
+      { message: "Hi after expiry", state }
+    );
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(site.logins, 2);
+    assert.equal(state.sessionStatus, "re-logged-in");
+    const cookies = await Actor.getValue(cookieKey(EMAIL));
+    assert.ok(cookies.every((cookie) => cookie.expires !== expired));
+  });
+
+  test("sends the message to a profile with a Message button", async () => {
+    const results = await run(
+      [{ id: "alice", url: `${site.url}/profile/alice` }],
+      { message: "Hello from the test suite" }
+    );
+
+    assert.deepEqual(site.messages, [
+      { to: "alice", text: "Hello from the test suite" },
+    ]);
+    assert.equal(results[0].success, true);
+
+    const record = (await datasetItems()).find(
+      (item) => item.profileId === "alice"
+    );
+    assert.equal(record.success, true);
+    assert.equal(record.messageButtonPresent, "Yes");
+    assert.equal(record.messageSent, "Yes");
+    assert.equal(record.deliveryConfirmed, true);
+    assert.ok(["Sent", "Delivered"].includes(record.deliveryStatus));
+    assert.equal(record.message, "Hello from the test suite");
+    assert.equal(record.url, `${site.url}/profile/alice`);
+    assert.ok(record.timestamp);
+
+    const attempt = (await listAttempts()).find((a) => a.profileId === "alice");
+    assert.equal(attempt.outcome, "sent");
+    assert.equal(attempt.textHash, hashMessage("Hello from the test suite"));
+  });
+
+  test("truncates long messages in the dataset record", async () => {
+    const message = "x".repeat(60);
+    await run([{ id: "alice-long", url: `${site.url}/profile/alice` }], {
+      message,
+    });
+
+    assert.equal(site.messages[0].text, message);
+    const record = (await datasetItems()).find(
+      (item) => item.profileId === "alice-long"
+    );
+    assert.equal(record.message, `${"x".repeat(50)}...`);
+  });
+
+  test("keeps line breaks and emoji without sending early", async () => {
+    const message = "Hi 👋🏽\nSecond line with 🇺🇸 and 👨‍👩‍👧\n\nThanks!";
+    const [result] = await run(
+      [{ id: "alice-multiline", url: `${site.url}/profile/alice` }],
+      { message }
+    );
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(site.messages, [{ to: "alice", text: message }]);
+  });
+
+  test("sends attachments with the message and lists them as delivered", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "attachments-"));
+    const file = path.join(dir, "brochure.pdf");
+    await writeFile(file, "%PDF-1.4 test");
+    await Actor.setValue("photo", Buffer.from("not really a png"), {
+      contentType: "image/png",
+    });
+
+    const [result] = await run(
+      [{ id: "alice-attachments", url: `${site.url}/profile/alice` }],
+      {
+        message: "Hi, see attached",
+        attachments: await resolveAttachments([file, "photo"]),
+      }
+    );
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(site.messages, [
+      {
+        to: "alice",
+        text: "Hi, see attached",
+        attachments: ["brochure.pdf", "photo.png"],
+      },
+    ]);
+    assert.deepEqual(
+      result.attachments.map(({ name, delivered }) => ({ name, delivered })),
+      [
+        { name: "brochure.pdf", delivered: true },
+        { name: "photo.png", delivered: true },
+      ]
+    );
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("follows a Message link to the conversation and sends there", async () => {
+    const [result] = await run(
+      [{ id: "carol", url: `${site.url}/profile/carol` }],
+      { message: "Hello Carol" }
+    );
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.threadUrl, `${site.url}/messages/t/carol`);
+    assert.deepEqual(site.messages, [{ to: "carol", text: "Hello Carol" }]);
+  });
+
+  test("opens a thread target directly, without the profile page", async () => {
+    const [result] = await run(
+      [
+        {
+          id: "bob-thread",
+          url: `${site.url}/profile/bob`,
+          threadUrl: `${site.url}/messages/t/bob`,
+        },
+      ],
+      { message: "Hello Bob" }
+    );
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.url, `${site.url}/profile/bob`);
+    assert.equal(result.threadUrl, `${site.url}/messages/t/bob`);
+    assert.deepEqual(site.messages, [{ to: "bob", text: "Hello Bob" }]);
+    assert.ok(!site.visits.includes("/profile/bob"));
+  });
+
+  test("posts to a group conversation and records its header", async () => {
+    const [result] = await run(
+      [
+        {
+          id: "partners",
+          type: "group",
+          url: `${site.url}/messages/t/partners`,
+          threadUrl: `${site.url}/messages/t/partners`,
+        },
+      ],
+      { message: "Launch moves to Thursday" }
+    );
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.groupName, "Partner Launch Team");
+    assert.equal(result.participantCount, 5);
+    assert.deepEqual(site.messages, [
+      { to: "partners", text: "Launch moves to Thursday" },
+    ]);
+  });
+
+  test("reports a send that Messenger marks as failed", async () => {
+    const [result] = await run(
+      [{ id: "dave", url: `${site.url}/profile/dave` }],
+      { message: "Hello Dave" }
+    );
+
+    assert.deepEqual(site.messages, []);
+    assert.equal(result.success, false);
+    assert.equal(result.deliveryConfirmed, false);
+    assert.equal(result.deliveryStatus, "Failed");
+    assert.equal(result.errorCode, "SEND_FAILED");
+    assert.equal(result.messageSent, "No");
+    assert.match(result.error, /delivery not confirmed/);
+  });
+
+  test("does not take a message starting with Seen for its receipt", async () => {
+    const [result] = await run(
+      [{ id: "dave-seen", url: `${site.url}/profile/dave` }],
+      { message: "Seen the draft yet?" }
+    );
+
+    assert.equal(result.success, false);
+    assert.equal(result.deliveryStatus, "Failed");
+    assert.equal(result.messageSent, "No");
+  });
+
+  test("counts a send whose bubble reads differently as sent", async () => {
+    const profile = { id: "leo", url: `${site.url}/profile/leo` };
+    const [result] = await run([profile], { message: "See you soon :)" });
+
+    assert.deepEqual(site.messages, [{ to: "leo", text: "See you soon :)" }]);
+    assert.equal(result.success, false);
+    assert.equal(result.deliveryStatus, null);
+    assert.equal(result.errorCode, "SEND_FAILED");
+    assert.equal(result.messageSent, "Yes");
+    assert.match(result.error, /no new message showed the sent text/);
+    assert.ok(await getLedgerEntry(profile));
+  });
+
+  test("records a failure for a profile without a Message button", async () => {
+    await run([{ id: "bob", url: `${site.url}/profile/bob` }], {
+      message: "Hello Bob",
+    });
+
+    assert.deepEqual(site.messages, []);
+    const record = (await datasetItems()).find(
+      (item) => item.profileId === "bob"
+    );
+    assert.equal(record.success, false);
+    assert.equal(record.messageButtonPresent, "No");
+    assert.equal(record.messageSent, "No");
+    assert.equal(record.errorCode, "NO_MESSAGE_BUTTON");
+    assert.equal(
+      record.error,
+      "Profile unavailable or no messaging option found"
+    );
+    assert.match(record.errorStack, /messenger\.js/);
+
+    assert.equal(record.evidence.pageUrl, `${site.url}/profile/bob`);
+    assert.ok(record.evidence.screenshot.url);
+    const html = (await Actor.getValue(record.evidence.html.key)).toString();
+    assert.match(html, /Bob Example/);
+    const details = await Actor.getValue(record.evidence.details.key);
+    assert.ok(details.console.some((line) => line.includes("page ready")));
+  });
+
+  test("records a failure for a profile that does not exist", async () => {
+    await run([{ id: "missing", url: `${site.url}/profile/nobody` }], {
+      message: "Hello?",
+    });
+
+    assert.deepEqual(site.messages, []);
+    const record = (await datasetItems()).find(
+      (item) => item.profileId === "missing"
+    );
+    assert.equal(record.success, false);
+    assert.equal(record.messageButtonPresent, "No");
+  });
+
+  test("records a failure once navigation retries are used up", async () => {
+    const port = await closedPort();
+    const [result] = await run(
+      [{ id: "unreachable", url: `http://127.0.0.1:${port}/profile/alice` }],
+      { message: "Hello?" }
+    );
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /ERR_CONNECTION_REFUSED/);
+    assert.equal(result.errorCode, "NAVIGATION_FAILED");
+    assert.equal(result.messageSent, "No");
+  });
+
+  test("renders the message template with each profile's fields", async () => {
+    await run(
+      [
+        {
+          id: "alice-template",
+          url: `${site.url}/profile/alice`,
+          firstName: "Alice",
+        },
+        { id: "alice-untemplated", url: `${site.url}/profile/alice` },
+      ],
+      { message: "Hi {{firstName}}, quick question" }
+    );
+
+    assert.deepEqual(site.messages, [
+      { to: "alice", text: "Hi Alice, quick question" },
+    ]);
+
+    const items = await datasetItems();
+    const rendered = items.find((item) => item.profileId === "alice-template");
+    assert.equal(rendered.message, "Hi Alice, quick question");
+
+    const missing = items.find(
+      (item) => item.profileId === "alice-untemplated"
+    );
+    assert.equal(missing.success, false);
+    assert.deepEqual(missing.missingVariables, ["firstName"]);
+    assert.equal(missing.errorCode, "TEMPLATE_INCOMPLETE");
+    assert.equal(missing.messageSent, "No");
+  });
+
+  test("skips profiles on the suppression list without visiting them", async () => {
+    const suppressionList = await updateSuppressionList({
+      add: [`${site.url}/profile/judy/`],
+    });
+
+    await run([{ id: "judy", url: `${site.url}/profile/judy` }], {
+      message: "Hello again",
+      suppressionList,
+    });
+
+    assert.deepEqual(site.messages, []);
+    assert.ok(!site.visits.includes("/profile/judy"));
+    const record = (await datasetItems()).find(
+      (item) => item.profileId === "judy"
+    );
+    assert.equal(record.skipped, "suppressed");
+    assert.equal(record.messageSent, "No");
+  });
+
+  test("skips profiles already messaged within the window unless forced", async () => {
+    // A profile no other test messages, so the ledger starts without it
+    const profile = { id: "kim", url: `${site.url}/profile/kim` };
+    const options = { message: "Only once", dedupeWindowDays: 30 };
+
+    await run([profile], options);
+    const [repeat] = await run([profile], options);
+    assert.equal(repeat.skipped, "alreadyMessaged");
+    assert.ok(repeat.lastSentAt);
+    assert.equal(site.messages.length, 1);
+
+    const [forced] = await run([profile], { ...options, force: true });
+    assert.equal(forced.success, true);
+    assert.equal(site.messages.length, 2);
+  });
+
+  test("checks messageability in a dry run without sending", async () => {
+    const alice = { id: "alice-dry", url: `${site.url}/profile/alice` };
+    // Earlier tests sent to alice; the dry run must leave that entry alone
+    const ledgerEntry = await getLedgerEntry(alice);
+    const [wouldSend, cannotSend] = await run(
+      [alice, { id: "bob-dry", url: `${site.url}/profile/bob` }],
+      { message: "Hi {{id}}", dryRun: true }
+    );
+
+    assert.deepEqual(site.messages, []);
+    assert.deepEqual(await getLedgerEntry(alice), ledgerEntry);
+
+    assert.equal(wouldSend.dryRun, true);
+    assert.equal(wouldSend.wouldSend, true);
+    assert.equal(wouldSend.messageButtonPresent, "Yes");
+    assert.equal(wouldSend.messageSent, "No");
+    assert.equal(wouldSend.message, "Hi alice-dry");
+
+    assert.equal(cannotSend.dryRun, true);
+    assert.equal(cannotSend.wouldSend, false);
+    assert.equal(cannotSend.errorCode, "NO_MESSAGE_BUTTON");
+  });
+
+  test("defers the remaining profiles once the send quota runs out", async () => {
+    const { sentLastHour } = await getQuotaUsage(EMAIL, {});
+    const results = await run(
+      ["quota-1", "quota-2", "quota-3"].map((id) => ({
+        id,
+        url: `${site.url}/profile/alice`,
+      })),
+      { message: "Within budget", quota: { hourly: sentLastHour + 1 } }
+    );
+
+    assert.equal(site.messages.length, 1);
+    assert.equal(results[0].success, true);
+    for (const deferred of results.slice(1)) {
+      assert.equal(deferred.deferred, "quotaExhausted");
+      assert.equal(deferred.messageSent, "No");
+      assert.ok(Date.parse(deferred.resumesAt) > Date.now());
+    }
+  });
+
+  test("halts on a block notice and resumes with the profiles left", async () => {
+    const state = { planned: false, current: null, results: [] };
+    const requestQueue = await Actor.openRequestQueue("test-halt");
+    const profiles = [
+      { id: "eve", url: `${site.url}/profile/eve` },
+      { id: "after-block", url: `${site.url}/profile/alice` },
+    ];
+
+    const [blocked, ...rest] = await run(profiles, {
+      message: "Hello",
+      state,
+      requestQueue,
+    });
+
+    assert.equal(blocked.errorCode, "ACCOUNT_RESTRICTED");
+    assert.match(blocked.error, /temporarily blocked/);
+    assert.deepEqual(rest, []);
+    assert.match(state.haltedReason, /temporarily blocked.*profile eve/);
+    assert.deepEqual(site.messages, []);
+
+    const results = await run(profiles, {
+      message: "Hello",
+      state,
+      requestQueue,
+    });
+    assert.equal(state.haltedReason, null);
+    assert.equal(results[1].profileId, "after-block");
+    assert.equal(results[1].success, true);
+  });
+
+  test("halts after too many consecutive failures", async () => {
+    const state = { planned: false, current: null, results: [] };
+    await run(
+      [
+        { id: "bob-1", url: `${site.url}/profile/bob` },
+        { id: "bob-2", url: `${site.url}/profile/bob` },
+        { id: "never-reached", url: `${site.url}/profile/alice` },
+      ],
+      { message: "Hello", state, maxConsecutiveFailures: 2 }
+    );
+
+    assert.deepEqual(
+      state.results.map((r) => r.profileId),
+      ["bob-1", "bob-2"]
+    );
+    assert.match(state.haltedReason, /^2 profiles in a row failed/);
+    assert.deepEqual(site.messages, []);
+  });
+
+  test("halts before any profile when the startup login fails", async () => {
+    const state = { planned: false, current: null, results: [] };
+    const results = await run(
+      [{ id: "after-bad-login", url: `${site.url}/profile/alice` }],
+      {
+        message: "Hello",
+        state,
+        credentials: { email: "nobody@example.com", password: "wrong" },
+      }
+    );
+
+    assert.deepEqual(results, []);
+    assert.ok(state.haltedReason);
+    assert.equal(state.sessionStatus, "invalid");
+    assert.deepEqual(site.messages, []);
+    assert.ok(!site.visits.includes("/profile/alice"));
+  });
+
+  test("collects the replies received after the send", async () => {
+    const grace = { id: "grace", url: `${site.url}/profile/grace` };
+    await run([grace], { message: "Are you coming on Friday?" });
+    site.reply("grace", { text: "Hi, long time", at: "2020-01-01T10:00:00Z" });
+    site.reply("grace", {
+      text: "Yes! See you there",
+      link: "https://maps.example.com/venue",
+      attachment: "rsvp.pdf",
+    });
+
+    const targets = await sentConversations({ profiles: [grace] });
+    assert.equal(targets.length, 1);
+    const summary = await collectReplies(
+      targets,
+      { credentials: CREDENTIALS, headless: true, homeUrl: site.url },
+      {
+        requestQueue: await Actor.openRequestQueue("test-replies"),
+        launchContext: { launcher: puppeteer, launchOptions: LAUNCH_OPTIONS },
+      }
+    );
+
+    assert.deepEqual(
+      { ...summary, failed: summary.failed.length },
+      {
+        conversations: 1,
+        checked: 1,
+        withReplies: 1,
+        replies: 1,
+        alreadyStored: 0,
+        failed: 0,
+        haltedReason: null,
+        sessionStatus: "reused",
+      }
+    );
+    assert.deepEqual(site.messages, [
+      { to: "grace", text: "Are you coming on Friday?" },
+    ]);
+
+    const dataset = await Actor.openDataset(REPLIES_DATASET);
+    const { items } = await dataset.getData();
+    assert.equal(items.length, 1);
+    assert.equal(items[0].profileId, "grace");
+    assert.equal(items[0].sender, "Grace Example");
+    assert.equal(
+      items[0].text,
+      "Yes! See you there https://maps.example.com/venue"
+    );
+    assert.equal(items[0].sentAt, targets[0].sentAt);
+    assert.ok(Date.parse(items[0].time) > Date.parse(items[0].sentAt));
+    assert.deepEqual(items[0].attachments, [
+      { name: "rsvp.pdf", url: `${site.url}/attachments/rsvp.pdf` },
+    ]);
+  });
+
+  test("records whether earlier sends were seen", async () => {
+    const heidi = { id: "heidi", url: `${site.url}/profile/heidi` };
+    const ivan = { id: "ivan", url: `${site.url}/profile/ivan` };
+    // Neither our message nor the reply is a receipt, whatever they start with
+    await run([heidi, ivan], {
+      message: "Sent you the invite, did you get it?",
+    });
+    site.markSeen("heidi", "2026-03-02T12:10:00.000Z");
+    site.reply("ivan", { text: "Seen it, thanks" });
+
+    const targets = await sentConversations({ profiles: [heidi, ivan] });
+    const summary = await checkStatus(
+      targets,
+      { credentials: CREDENTIALS, headless: true, homeUrl: site.url },
+      {
+        requestQueue: await Actor.openRequestQueue("test-status"),
+        launchContext: { launcher: puppeteer, launchOptions: LAUNCH_OPTIONS },
+      }
+    );
+
+    assert.deepEqual(
+      { ...summary, failed: summary.failed.length },
+      {
+        conversations: 2,
+        checked: 2,
+        statuses: { Seen: 1, Delivered: 1 },
+        failed: 0,
+        haltedReason: null,
+        sessionStatus: "reused",
+      }
+    );
+    assert.equal(site.messages.length, 2);
+
+    const dataset = await Actor.openDataset(STATUS_DATASET);
+    const { items } = await dataset.getData();
+    const byProfile = Object.fromEntries(items.map((i) => [i.profileId, i]));
+    assert.equal(byProfile.heidi.status, "Seen");
+    assert.equal(byProfile.heidi.seenBy, "Heidi Example");
+    assert.equal(byProfile.heidi.seenAt, "2026-03-02T12:10:00.000Z");
+    assert.equal(byProfile.ivan.status, "Delivered");
+    assert.equal(byProfile.ivan.seenAt, null);
+    assert.ok(Date.parse(byProfile.ivan.checkedAt));
+  });
+
+  test("stops revisiting conversations when the login fails", async () => {
+    const target = {
+      profileId: "judy",
+      url: `${site.url}/profile/judy`,
+      threadUrl: null,
+      sentAt: new Date().toISOString(),
+    };
+    const summary = await checkStatus(
+      [target],
+      {
+        credentials: { email: "nobody@example.com", password: "wrong" },
+        headless: true,
+        homeUrl: site.url,
+      },
+      {
+        requestQueue: await Actor.openRequestQueue("test-status-bad-login"),
+        sessionPoolOptions: {
+          maxPoolSize: 1,
+          persistStateKey: "test-sessions-bad-login",
+        },
+        launchContext: { launcher: puppeteer, launchOptions: LAUNCH_OPTIONS },
+      }
+    );
+
+    assert.ok(summary.haltedReason);
+    assert.equal(summary.checked, 0);
+    assert.equal(summary.sessionStatus, "invalid");
+    assert.ok(!site.visits.includes("/profile/judy"));
+  });
+
+  test("resumes from the request queue without re-sending", async () => {
+    const interrupted = profileRequest(
+      { id: "resume-interrupted", url: `${site.url}/profile/alice` },
+      "Resumed"
+    );
+    const next = profileRequest(
+      { id: "resume-next", url: `${site.url}/profile/alice` },
+      "Resumed"
+    );
+    const requestQueue = await Actor.openRequestQueue("test-resume");
+    await requestQueue.addRequests([interrupted, next]);
+
+    const state = {
+      planned: true,
+      current: interrupted.uniqueKey,
+      results: [{ success: true, profileId: "resume-done" }],
+    };
+    let saves = 0;
+
+    const results = await run([], {
+      message: "Resumed",
+      state,
+      requestQueue,
+      onProgress: async () => {
+        saves += 1;
+      },
+    });
+
+    assert.equal(results, state.results);
+    assert.deepEqual(
+      results.map((r) => r.profileId),
+      ["resume-done", "resume-interrupted", "resume-next"]
+    );
+    assert.equal(results[1].success, false);
+    assert.match(results[1].error, /not retried/);
+    assert.equal(results[1].errorCode, "INTERRUPTED");
+    const audited = (await listAttempts()).find(
+      (record) => record.profileId === "resume-interrupted"
+    );
+    assert.equal(audited.outcome, "unknown");
+    assert.equal(results[2].success, true);
+    assert.deepEqual(site.messages, [{ to: "alice", text: "Resumed" }]);
+    assert.equal(state.current, null);
+    assert.ok(saves >= 3);
+  });
+
+  test("checks the suppression list again when resuming", async () => {
+    const queued = profileRequest(
+      { id: "resume-suppressed", url: `${site.url}/profile/alice` },
+      "Added to the list while halted"
+    );
+    const requestQueue = await Actor.openRequestQueue("test-resume-suppressed");
+    await requestQueue.addRequests([queued]);
+    await updateSuppressionList({ add: [`${site.url}/profile/alice`] });
+
+    try {
+      const results = await run([], {
+        message: "Added to the list while halted",
+        state: { planned: true, current: null, results: [] },
+        requestQueue,
+      });
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].skipped, "suppressed");
+      assert.equal(results[0].messageSent, "No");
+      assert.ok(
+        !site.messages.some((m) => m.text === "Added to the list while halted")
+      );
+    } finally {
+      await updateSuppressionList({ remove: [`${site.url}/profile/alice`] });
+    }
+  });
+});
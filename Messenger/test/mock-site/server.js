@@ -0,0 +1,428 @@
+/**
+ * Offline stand-in for the parts of Facebook the Actor touches.
+ *
+ * Serves a login page, profile pages with or without the Message button and a
+ * chat composer with a send button, so the real Puppeteer flows can run
+ * against it without a network connection or a Facebook account.
+ *
+ * Routes:
+ *   GET  /                  home page (requires a session when requireLogin)
+ *   GET  /login             login form, POST /login sets the session cookies
+ *   GET  /profile/<slug>    profile page, unknown slugs render "content isn't available"
+ *   GET  /messages/t/<slug> conversation page for any profile that is not `blocked`
+ *   POST /api/messages      called by the composer's send button; the sent
+ *                           bubble goes Sending -> Sent -> Delivered, or
+ *                           "Failed to send" for profiles with `failDelivery`.
+ *                           Profiles with `emojiImages` show ":)" in the sent
+ *                           bubble as an <img alt>, as Messenger does.
+ *                           Files picked in the composer show an upload
+ *                           preview and are sent as rows of their own.
+ *                           Conversations show earlier sends and the
+ *                           replies added with site.reply(); earlier sends
+ *                           show Delivered, or Seen after site.markSeen()
+ */
+import http from 'node:http';
+
+const SESSION_COOKIE = "c_user";
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function loginPage(next, failed) {
+  return page(
+    "Facebook - log in or sign up",
+    `<form method="post" action="/login">
+  <input type="hidden" name="next" value="${next}">
+  ${failed ? '<div role="alert">The password that you\'ve entered is incorrect.</div>' : ""}
+  <input type="text" name="email" id="email" placeholder="Email address or phone number">
+  <input type="password" name="pass" placeholder="Password">
+  <button type="submit" name="login">Log in</button>
+</form>`
+  );
+}
+
+function homePage() {
+  return page("Facebook", `<div role="feed"><h1>News Feed</h1></div>`);
+}
+
+function missingProfilePage() {
+  return page("Facebook", `<h2>This content isn't available right now</h2>`);
+}
+
+// With `thread`, the conversation itself: chat open, no profile actions
+function blockedPage() {
+  return page(
+    "Facebook",
+    `<div role="dialog"><h2>You’re Temporarily Blocked</h2>
+<p>It looks like you were misusing this feature by going too fast.</p></div>`
+  );
+}
+
+// Conversation rows: "<sender> sent" heading, text with an optional link in
+// it, file link, timestamp and delivery status, with the time a Seen receipt
+// was read
+function messageRowScript() {
+  return `function messageRow({ sender, text, link, attachment, at, status, seenAt }) {
+    const row = document.createElement("div");
+    row.setAttribute("role", "row");
+    if (sender === "You") row.className = "outgoing";
+    const heading = document.createElement("h5");
+    heading.textContent = sender + " sent";
+    row.appendChild(heading);
+    if (text) {
+      const bubble = document.createElement("div");
+      bubble.dir = "auto";
+      const span = document.createElement("span");
+      span.textContent = text;
+      if (link) {
+        const anchor = document.createElement("a");
+        anchor.href = link;
+        anchor.textContent = link;
+        span.append(" ", anchor);
+      }
+      bubble.appendChild(span);
+      row.appendChild(bubble);
+    }
+    if (attachment) {
+      const link = document.createElement("a");
+      link.href = "/attachments/" + encodeURIComponent(attachment);
+      link.download = attachment;
+      link.textContent = attachment;
+      row.appendChild(link);
+    }
+    const time = document.createElement("time");
+    time.setAttribute("datetime", at);
+    row.appendChild(time);
+    if (status) {
+      const receipt = document.createElement("span");
+      receipt.setAttribute("aria-label", status);
+      receipt.textContent = status;
+      if (seenAt) {
+        const seen = document.createElement("time");
+        seen.setAttribute("datetime", seenAt);
+        receipt.appendChild(seen);
+      }
+      row.appendChild(receipt);
+    }
+    return row;
+  }`;
+}
+
+function profilePage(slug, profile, thread = false, history = []) {
+  let messageButton = "";
+  if (!thread && profile.threadLink) {
+    messageButton = `<a aria-label="Message" href="/messages/t/${slug}">Message</a>`;
+  } else if (!thread && profile.messageable) {
+    messageButton = `<div aria-label="Message" role="button" tabindex="0" id="message-button">Message</div>`;
+  }
+
+  // Conversations show the name, and the member count for group chats
+  const members = profile.participants
+    ? `<span>${profile.participants} members</span>`
+    : "";
+  const heading = thread
+    ? `<div role="banner"><h2>${profile.name}</h2>${members}</div>`
+    : `<h1>${profile.name}</h1>`;
+
+  return page(
+    `${profile.name} | Facebook`,
+    `${heading}
+${messageButton}
+<div id="chat"${thread ? "" : " hidden"}>
+  <div role="log" id="thread"></div>
+  <input type="file" multiple hidden id="file-input">
+  <div id="previews"></div>
+  <div aria-label="Message" role="textbox" contenteditable="true" id="composer"></div>
+  <div class="xsrhx6k" role="button" aria-label="Press enter to send" id="send">Send</div>
+</div>
+<div style="height: 2000px"></div>
+<script>
+  const slug = ${JSON.stringify(slug)};
+  const emojiImages = ${!!profile.emojiImages};
+  const chat = document.getElementById("chat");
+  const composer = document.getElementById("composer");
+  const thread = document.getElementById("thread");
+  const fileInput = document.getElementById("file-input");
+  const previews = document.getElementById("previews");
+  let files = [];
+
+  ${messageRowScript()}
+  for (const message of ${JSON.stringify(history).replace(/</g, "\\u003c")}) {
+    thread.appendChild(messageRow(message));
+  }
+
+  function setStatus(el, label) {
+    el.setAttribute("aria-label", label);
+    el.textContent = label;
+  }
+
+  async function send() {
+    const text = composer.innerText.replace(/\\n$/, "");
+    if (!text) return;
+    composer.textContent = "";
+    const attachments = files;
+    files = [];
+    previews.textContent = "";
+    const at = new Date().toISOString();
+    for (const attachment of attachments) {
+      thread.appendChild(messageRow({ sender: "You", attachment, at }));
+    }
+    const row = messageRow({ sender: "You", text, at });
+    if (emojiImages) {
+      const bubble = row.querySelector('[dir="auto"] span');
+      bubble.textContent = "";
+      text.split(":)").forEach((part, i) => {
+        if (i > 0) {
+          const emoji = document.createElement("img");
+          emoji.alt = "🙂";
+          bubble.appendChild(emoji);
+        }
+        bubble.appendChild(document.createTextNode(part));
+      });
+    }
+    const status = document.createElement("span");
+    setStatus(status, "Sending");
+    row.append(status);
+    thread.appendChild(row);
+    const response = await fetch("/api/messages", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        to: slug,
+        text,
+        ...(attachments.length && { attachments }),
+      }),
+    });
+    if (!response.ok) {
+      setStatus(status, "Failed to send");
+      return;
+    }
+    setStatus(status, "Sent");
+    setTimeout(() => setStatus(status, "Delivered"), 300);
+  }
+
+  const button = document.getElementById("message-button");
+  if (button) {
+    button.addEventListener("click", () => {
+      setTimeout(() => {
+        chat.hidden = false;
+      }, 300);
+    });
+  }
+
+  // Each picked file uploads for a moment before its preview is ready
+  fileInput.addEventListener("change", () => {
+    for (const file of fileInput.files) {
+      const preview = document.createElement("div");
+      const progress = document.createElement("div");
+      progress.setAttribute("role", "progressbar");
+      const remove = document.createElement("div");
+      remove.setAttribute("role", "button");
+      remove.setAttribute("aria-label", "Remove attachment");
+      preview.append(file.name, progress, remove);
+      previews.appendChild(preview);
+      setTimeout(() => {
+        progress.remove();
+        files.push(file.name);
+      }, 500);
+    }
+  });
+
+  console.info("page ready", slug);
+  document.getElementById("send").addEventListener("click", send);
+  composer.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      send();
+    }
+  });
+</script>`
+  );
+}
+
+function parseCookies(req) {
+  return Object.fromEntries(
+    (req.headers.cookie || "")
+      .split(";")
+      .map((part) => part.trim().split("="))
+      .filter(([name]) => name)
+  );
+}
+
+async function readBody(req) {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return body;
+}
+
+function send(res, status, html, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "text/html; charset=utf-8",
+    ...headers,
+  });
+  res.end(html);
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+/**
+ * Starts the mock site on a random local port.
+ *
+ * @param {object} options
+ * @param {string} options.email - Email accepted by the login form.
+ * @param {string} options.password - Password accepted by the login form.
+ * @param {Object<string, {name: string, messageable: boolean, threadLink?: boolean, failDelivery?: boolean, emojiImages?: boolean, blocked?: boolean, participants?: number}>} options.profiles - Profiles served under /profile/<slug>; `threadLink` makes the Message button a link to the conversation at /messages/t/<slug>, `failDelivery` makes sends to the profile fail, `emojiImages` renders ":)" in sent bubbles as an image, `blocked` shows Facebook's "temporarily blocked" notice instead of the profile, `participants` makes the conversation a group chat with that many members.
+ * @param {boolean} [options.requireLogin=true] - Redirect to /login when there is no session cookie.
+ * @returns {Promise<{url: string, messages: Array<{to: string, text: string, attachments?: string[]}>, logins: number, visits: string[], reply: Function, markSeen: Function, close: Function}>}
+ *   `reply(slug, { text, link, attachment, at })` adds a message from the
+ *   profile to its conversation, sent `at` (default now), with a link to
+ *   `link` in its text. `markSeen(slug, at)` shows the
+ *   last message sent to the profile as seen by it `at` (default now).
+ */
+export async function startMockSite({
+  email,
+  password,
+  profiles,
+  requireLogin = true,
+}) {
+  const site = { url: "", messages: [], logins: 0, visits: [], close: null };
+
+  // Messages shown when a conversation is opened, per profile slug
+  const history = {};
+  const addToHistory = (slug, message) => {
+    history[slug] = [...(history[slug] || []), message];
+  };
+  site.reply = (
+    slug,
+    { text, link, attachment, at = new Date().toISOString() }
+  ) =>
+    addToHistory(slug, {
+      sender: profiles[slug].name,
+      text,
+      link,
+      attachment,
+      at,
+    });
+  site.markSeen = (slug, at = new Date().toISOString()) => {
+    const sent = history[slug].findLast((message) => message.status);
+    Object.assign(sent, {
+      status: `Seen by ${profiles[slug].name}`,
+      seenAt: at,
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, site.url);
+    const loggedIn = !!parseCookies(req)[SESSION_COOKIE];
+    if (req.method === "GET") site.visits.push(url.pathname);
+
+    if (url.pathname === "/login" && req.method === "POST") {
+      const form = new URLSearchParams(await readBody(req));
+      const next = form.get("next") || "/";
+      if (form.get("email") !== email || form.get("pass") !== password) {
+        redirect(res, `/login?next=${encodeURIComponent(next)}&failed=1`);
+        return;
+      }
+      site.logins += 1;
+      redirect(res, next, {
+        "Set-Cookie": [
+          `${SESSION_COOKIE}=100001; Path=/`,
+          "xs=mock-session; Path=/",
+        ],
+      });
+      return;
+    }
+
+    if (url.pathname === "/login") {
+      send(
+        res,
+        200,
+        loginPage(
+          url.searchParams.get("next") || "/",
+          url.searchParams.has("failed")
+        )
+      );
+      return;
+    }
+
+    if (url.pathname === "/api/messages" && req.method === "POST") {
+      const sent = JSON.parse(await readBody(req));
+      if (profiles[sent.to]?.failDelivery) {
+        res.writeHead(500);
+        res.end();
+        return;
+      }
+      site.messages.push(sent);
+      const at = new Date().toISOString();
+      for (const attachment of sent.attachments || []) {
+        addToHistory(sent.to, { sender: "You", attachment, at });
+      }
+      addToHistory(sent.to, {
+        sender: "You",
+        text: sent.text,
+        at,
+        status: "Delivered",
+      });
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (requireLogin && !loggedIn) {
+      redirect(res, `/login?next=${encodeURIComponent(url.pathname)}`);
+      return;
+    }
+
+    if (url.pathname === "/") {
+      send(res, 200, homePage());
+      return;
+    }
+
+    const match = url.pathname.match(/^\/profile\/([^/]+)$/);
+    if (match && profiles[match[1]]?.blocked) {
+      send(res, 200, blockedPage());
+      return;
+    }
+    if (match && profiles[match[1]]) {
+      send(
+        res,
+        200,
+        profilePage(match[1], profiles[match[1]], false, history[match[1]])
+      );
+      return;
+    }
+
+    const thread = url.pathname.match(/^\/messages\/t\/([^/]+)$/);
+    if (thread && profiles[thread[1]] && !profiles[thread[1]].blocked) {
+      send(
+        res,
+        200,
+        profilePage(thread[1], profiles[thread[1]], true, history[thread[1]])
+      );
+      return;
+    }
+
+    send(res, 404, missingProfilePage());
+  });
+
+  await new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", resolve);
+  });
+  site.url = `http://127.0.0.1:${server.address().port}`;
+  site.close = () =>
+    new Promise((resolve) => {
+      server.close(resolve);
+    });
+
+  return site;
+}
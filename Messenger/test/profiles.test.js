@@ -0,0 +1,225 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import {
+  canonicalProfileUrl,
+  canonicalThreadUrl,
+  isThreadUrl,
+  validateProfiles,
+} from '../src/profiles.js';
+
+describe("canonicalProfileUrl", () => {
+  test("rewrites host variants, sub-pages and tracking parameters", () => {
+    for (const url of [
+      "https://www.facebook.com/terri.lopez.9659283",
+      "https://m.facebook.com/Terri.Lopez.9659283/?ref=share",
+      "http://web.facebook.com/terri.lopez.9659283/about#intro",
+      "https://facebook.com/terri.lopez.9659283?fbclid=IwAR0abc&mibextid=xyz",
+    ]) {
+      assert.equal(
+        canonicalProfileUrl(url),
+        "https://www.facebook.com/terri.lopez.9659283"
+      );
+    }
+  });
+
+  test("keeps only the id of numeric profile URLs", () => {
+    assert.equal(
+      canonicalProfileUrl(
+        "https://m.facebook.com/profile.php?id=61559986547821&ref=bookmarks"
+      ),
+      "https://www.facebook.com/profile.php?id=61559986547821"
+    );
+    assert.equal(
+      canonicalProfileUrl("https://www.facebook.com/people/Sam-Lee/100012345"),
+      "https://www.facebook.com/profile.php?id=100012345"
+    );
+  });
+
+  test("rejects malformed and non-profile URLs", () => {
+    assert.throws(
+      () => canonicalProfileUrl("hhttps://www.facebook.com/terri"),
+      /malformed URL "hhttps:\/\/www.facebook.com\/terri"/
+    );
+    assert.throws(() => canonicalProfileUrl("facebook.com/terri"), /malformed/);
+    assert.throws(
+      () => canonicalProfileUrl("https://example.com/terri"),
+      /"example.com" is not a Facebook host/
+    );
+    assert.throws(
+      () => canonicalProfileUrl("https://www.facebook.com/profile.php"),
+      /without a numeric id/
+    );
+    assert.throws(
+      () => canonicalProfileUrl("https://www.facebook.com/groups/123"),
+      /does not point to a profile/
+    );
+    assert.throws(
+      () => canonicalProfileUrl("https://www.facebook.com/"),
+      /does not point to a profile/
+    );
+  });
+});
+
+describe("canonicalThreadUrl", () => {
+  test("accepts thread IDs and both conversation URL forms", () => {
+    const canonical = "https://www.facebook.com/messages/t/100012345";
+
+    assert.equal(canonicalThreadUrl({ threadId: 100012345 }), canonical);
+    assert.equal(
+      canonicalThreadUrl({ url: "https://www.messenger.com/t/100012345/" }),
+      canonical
+    );
+    assert.equal(
+      canonicalThreadUrl({
+        url: "https://m.facebook.com/messages/t/100012345?ref=inbox",
+      }),
+      canonical
+    );
+  });
+
+  test("rejects bad thread IDs and other URLs", () => {
+    assert.throws(
+      () => canonicalThreadUrl({ threadId: "12 34" }),
+      /"12 34" is not a Messenger thread ID/
+    );
+    assert.throws(
+      () => canonicalThreadUrl({ url: "https://www.messenger.com/" }),
+      /not a conversation URL/
+    );
+    assert.equal(isThreadUrl("https://www.facebook.com/terri.lopez"), false);
+    assert.equal(isThreadUrl("https://messenger.com/t/terri.lopez"), true);
+  });
+});
+
+describe("validateProfiles", () => {
+  test("sends thread targets straight to the conversation", () => {
+    const profiles = validateProfiles([
+      { id: "t1", threadId: "100012345" },
+      { id: "t2", url: "https://www.messenger.com/t/100067890" },
+      {
+        id: "t3",
+        url: "https://www.facebook.com/some.page",
+        threadId: "100099999",
+      },
+    ]);
+
+    assert.deepEqual(
+      profiles.map(({ id, url, threadUrl }) => ({ id, url, threadUrl })),
+      [
+        {
+          id: "t1",
+          url: "https://www.facebook.com/messages/t/100012345",
+          threadUrl: "https://www.facebook.com/messages/t/100012345",
+        },
+        {
+          id: "t2",
+          url: "https://www.facebook.com/messages/t/100067890",
+          threadUrl: "https://www.facebook.com/messages/t/100067890",
+        },
+        {
+          id: "t3",
+          url: "https://www.facebook.com/some.page",
+          threadUrl: "https://www.facebook.com/messages/t/100099999",
+        },
+      ]
+    );
+  });
+
+  test("requires a conversation for group targets", () => {
+    const [group] = validateProfiles([
+      { id: "g1", type: "group", threadId: "7001234" },
+    ]);
+    assert.equal(
+      group.threadUrl,
+      "https://www.facebook.com/messages/t/7001234"
+    );
+
+    assert.throws(
+      () =>
+        validateProfiles([
+          { id: "g2", type: "group", url: "https://www.facebook.com/partners" },
+          { id: "g3", type: "page", threadId: "7005678" },
+        ]),
+      (err) => {
+        assert.match(
+          err.message,
+          /profiles\[0\] \(g2\): group targets need a threadId or conversation URL/
+        );
+        assert.match(
+          err.message,
+          /profiles\[1\] \(g3\): type must be one of profile, group/
+        );
+        return true;
+      }
+    );
+  });
+
+  test("flags the same conversation given twice", () => {
+    assert.throws(
+      () =>
+        validateProfiles([
+          { id: "t1", threadId: "100012345" },
+          { id: "t2", url: "https://www.messenger.com/t/100012345" },
+          { id: "t3", url: "https://www.messenger.com/t/1", threadId: "2" },
+        ]),
+      (err) => {
+        assert.match(
+          err.message,
+          /profiles\[1\] \(t2\): same profile as profiles\[0\] \(t1\)/
+        );
+        assert.match(
+          err.message,
+          /profiles\[2\] \(t3\): threadId and url name different conversations/
+        );
+        return true;
+      }
+    );
+  });
+
+  test("returns the profiles with canonical URLs and their other fields", () => {
+    const profiles = validateProfiles([
+      {
+        id: "p1",
+        url: "https://m.facebook.com/terri.lopez?ref=share",
+        firstName: "Terri",
+      },
+    ]);
+
+    assert.deepEqual(profiles, [
+      {
+        id: "p1",
+        url: "https://www.facebook.com/terri.lopez",
+        firstName: "Terri",
+      },
+    ]);
+  });
+
+  test("lists every bad entry in one error", () => {
+    let error = null;
+    try {
+      validateProfiles([
+        { id: "p1", url: "https://www.facebook.com/terri.lopez" },
+        { id: "p2", url: "hhttps://www.facebook.com/terri.lopez" },
+        { id: "p1", url: "https://www.facebook.com/sam.lee" },
+        { id: "p4", url: "https://m.facebook.com/Terri.Lopez/?ref=share" },
+        { url: "https://www.facebook.com/alex" },
+        { id: "p6" },
+        "https://www.facebook.com/jo",
+      ]);
+    } catch (err) {
+      error = err;
+    }
+
+    assert.ok(error, "validation should fail");
+    assert.deepEqual(error.message.split("\n").slice(1), [
+      '  - profiles[1] (p2): malformed URL "hhttps://www.facebook.com/terri.lopez"',
+      "  - profiles[2] (p1): duplicate id, also used by profiles[0] (p1)",
+      "  - profiles[3] (p4): same profile as profiles[0] (p1) (https://www.facebook.com/terri.lopez)",
+      "  - profiles[4]: id is missing",
+      "  - profiles[5] (p6): url or threadId is missing",
+      "  - profiles[6]: must be an object with id and url or threadId",
+    ]);
+    assert.match(error.message, /^❌ 6 problem\(s\) in profiles:/);
+  });
+});
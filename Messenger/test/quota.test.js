@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, test } from 'node:test';
+
+import { getQuotaUsage, quotaUsage, recordQuotaSend } from '../src/quota.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "quota-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+const NOW = Date.parse("2026-03-02T12:00:00Z");
+const MINUTE = 60 * 1000;
+
+describe("quotaUsage", () => {
+  test("counts sends in the last hour and day", () => {
+    const sends = [NOW - 5 * MINUTE, NOW - 90 * MINUTE, NOW - 25 * 60 * MINUTE];
+
+    assert.deepEqual(quotaUsage(sends, { hourly: 5, daily: 5 }, NOW), {
+      hourlyLimit: 5,
+      dailyLimit: 5,
+      sentLastHour: 1,
+      sentLastDay: 2,
+      exhausted: false,
+      resumesAt: null,
+    });
+  });
+
+  test("resumes when the oldest send that fills the budget ages out", () => {
+    const sends = [NOW - 10 * MINUTE, NOW - 40 * MINUTE, NOW - 50 * MINUTE];
+    const usage = quotaUsage(sends, { hourly: 2, daily: 0 }, NOW);
+
+    assert.equal(usage.exhausted, true);
+    assert.equal(usage.resumesAt, new Date(NOW + 20 * MINUTE).toISOString());
+  });
+
+  test("waits for the later window when both are exhausted", () => {
+    const sends = [NOW - 10 * MINUTE, NOW - 3 * 60 * MINUTE];
+    const usage = quotaUsage(sends, { hourly: 1, daily: 2 }, NOW);
+
+    assert.equal(usage.exhausted, true);
+    assert.equal(
+      usage.resumesAt,
+      new Date(NOW + 21 * 60 * MINUTE).toISOString()
+    );
+  });
+
+  test("treats a limit of 0 as no limit", () => {
+    const sends = Array.from({ length: 100 }, (_, i) => NOW - i * MINUTE);
+    assert.equal(
+      quotaUsage(sends, { hourly: 0, daily: 0 }, NOW).exhausted,
+      false
+    );
+  });
+});
+
+describe("quota store", () => {
+  after(async () => {
+    await rm(storageDir, { recursive: true, force: true });
+  });
+
+  test("shares the budget per account across calls", async () => {
+    await recordQuotaSend("Sender@Example.com", NOW - 30 * MINUTE);
+    await recordQuotaSend("sender@example.com", NOW - 2 * MINUTE);
+    await recordQuotaSend("other@example.com", NOW - 2 * MINUTE);
+
+    const usage = await getQuotaUsage(
+      "sender@example.com",
+      { hourly: 2, daily: 10 },
+      NOW
+    );
+    assert.equal(usage.sentLastHour, 2);
+    assert.equal(usage.exhausted, true);
+  });
+
+  test("drops sends older than a day", async () => {
+    await recordQuotaSend("old@example.com", NOW - 2 * 24 * 60 * MINUTE);
+    await recordQuotaSend("old@example.com", NOW);
+
+    const usage = await getQuotaUsage("old@example.com", { daily: 1 }, NOW);
+    assert.equal(usage.sentLastDay, 1);
+  });
+});
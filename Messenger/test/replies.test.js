@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { repliesAfter, replyKey, replyKeyer } from '../src/replies.js';
+
+describe("repliesAfter", () => {
+  const SENT_AT = "2026-03-02T12:00:00.000Z";
+  const message = (fields) => ({
+    outgoing: false,
+    sender: "Terri",
+    text: "",
+    time: null,
+    attachments: [],
+    ...fields,
+  });
+
+  test("keeps received messages newer than the send", () => {
+    const messages = [
+      message({ text: "Earlier", time: "2026-03-01T09:00:00.000Z" }),
+      message({ outgoing: true, sender: "You", text: "Hi", time: SENT_AT }),
+      message({ text: "Hello!", time: "2026-03-02T12:05:00.000Z" }),
+      message({ outgoing: true, sender: "You", text: "Great" }),
+    ];
+
+    assert.deepEqual(
+      repliesAfter(messages, SENT_AT).map((m) => m.text),
+      ["Hello!"]
+    );
+  });
+
+  test("places messages without a time by our last message", () => {
+    const messages = [
+      message({ text: "Before" }),
+      message({ outgoing: true, sender: "You", text: "Hi" }),
+      message({ text: "After" }),
+    ];
+
+    assert.deepEqual(
+      repliesAfter(messages, SENT_AT).map((m) => m.text),
+      ["After"]
+    );
+  });
+});
+
+describe("replyKey", () => {
+  const URL = "https://www.facebook.com/terri.lopez";
+  const reply = {
+    sender: "Terri",
+    text: "See you there",
+    time: "2026-03-02T12:05:00.000Z",
+    attachments: [{ name: "rsvp.pdf", url: "https://cdn.example/rsvp?sig=1" }],
+  };
+
+  test("is the same on every visit, whatever the attachment URLs", () => {
+    const revisited = {
+      ...reply,
+      attachments: [
+        { name: "rsvp.pdf", url: "https://cdn.example/rsvp?sig=2" },
+      ],
+    };
+
+    assert.equal(replyKey(URL, revisited), replyKey(URL, reply));
+  });
+
+  test("tells apart conversations and messages", () => {
+    const key = replyKey(URL, reply);
+
+    assert.notEqual(replyKey("https://www.facebook.com/sam", reply), key);
+    assert.notEqual(
+      replyKey(URL, { ...reply, time: "2026-03-02T12:06:00.000Z" }),
+      key
+    );
+    assert.notEqual(replyKey(URL, { ...reply, text: "Running late" }), key);
+  });
+});
+
+describe("replyKeyer", () => {
+  const URL = "https://www.facebook.com/terri.lopez";
+  const ok = { sender: "Terri", text: "ok", time: null, attachments: [] };
+
+  test("tells apart identical replies by their order", () => {
+    const keyOf = replyKeyer();
+    const first = keyOf(URL, ok);
+    const second = keyOf(URL, { ...ok });
+
+    assert.equal(first, replyKey(URL, ok));
+    assert.notEqual(second, first);
+  });
+
+  test("gives the same keys on every visit", () => {
+    const earlier = replyKeyer();
+    const later = replyKeyer();
+
+    assert.deepEqual(
+      [ok, ok].map((reply) => earlier(URL, reply)),
+      [ok, ok, ok].map((reply) => later(URL, reply)).slice(0, 2)
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import {
+  cookieKey,
+  loadCookies,
+  pruneExpired,
+  readCookies,
+  saveCookies,
+  writeCookies,
+} from '../src/cookies.js';
+import {
+  closeSession,
+  cookiesChanged,
+  openSession,
+  SESSION_STATUS,
+} from '../src/session.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "session-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+after(async () => {
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+const NOW = Date.parse("2026-03-02T12:00:00.000Z");
+const inSeconds = (offset) => NOW / 1000 + offset;
+const cookie = (name, value, expires = -1) => ({
+  name,
+  value,
+  domain: ".facebook.com",
+  path: "/",
+  expires,
+});
+
+describe("cookies", () => {
+  test("keys the cookies by a storable form of the email", () => {
+    assert.equal(cookieKey("Tester@Example.com"), "cookies-Tester_Example.com");
+  });
+
+  test("saves and restores the cookies of an email address", async () => {
+    const saved = [cookie("c_user", "100001"), cookie("xs", "token")];
+    const restored = [];
+    const page = {
+      cookies: async () => saved,
+      setCookie: async (...cookies) => {
+        restored.push(...cookies);
+      },
+    };
+
+    await saveCookies(page, "dee@example.com");
+    assert.equal(await loadCookies(page, "dee@example.com"), true);
+    assert.deepEqual(restored, saved);
+  });
+
+  test("prunes expired cookies and keeps session cookies", () => {
+    const cookies = [
+      cookie("c_user", "100001", inSeconds(3600)),
+      cookie("xs", "old", inSeconds(-60)),
+      cookie("presence", "p"),
+    ];
+
+    assert.deepEqual(
+      pruneExpired(cookies, NOW).map((c) => c.name),
+      ["c_user", "presence"]
+    );
+  });
+
+  test("never loads or saves expired cookies", async () => {
+    const past = Math.floor(Date.now() / 1000) - 60;
+    await Actor.setValue(cookieKey("ana@example.com"), [
+      cookie("c_user", "100001"),
+      cookie("xs", "old", past),
+    ]);
+    assert.deepEqual(
+      (await readCookies("ana@example.com")).map((c) => c.name),
+      ["c_user"]
+    );
+
+    await writeCookies("ana@example.com", [cookie("fr", "x", past)]);
+    assert.deepEqual(await Actor.getValue(cookieKey("ana@example.com")), []);
+    assert.equal(await readCookies("nobody@example.com"), null);
+  });
+});
+
+describe("session", () => {
+  test("treats renewed values or expiries as changed", () => {
+    const saved = [cookie("c_user", "100001"), cookie("xs", "a", 1000)];
+
+    assert.equal(cookiesChanged(saved, [...saved].reverse()), false);
+    assert.equal(
+      cookiesChanged(saved, [saved[0], cookie("xs", "a", 2000)]),
+      true
+    );
+    assert.equal(cookiesChanged(null, saved), true);
+  });
+
+  test("saves cookies renewed during the run as a refreshed session", async () => {
+    const email = "bo@example.com";
+    await writeCookies(email, [cookie("c_user", "100002")]);
+
+    const session = await openSession(email);
+    Object.assign(session, {
+      status: SESSION_STATUS.REUSED,
+      cookies: [cookie("c_user", "100002"), cookie("xs", "renewed")],
+    });
+
+    assert.equal(await closeSession(session), "refreshed");
+    assert.deepEqual(
+      (await readCookies(email)).map((c) => c.name),
+      ["c_user", "xs"]
+    );
+  });
+
+  test("keeps an unchanged session as reused and never saves an invalid one", async () => {
+    const email = "cy@example.com";
+    await writeCookies(email, [cookie("c_user", "100003")]);
+
+    const reused = await openSession(email);
+    Object.assign(reused, {
+      status: SESSION_STATUS.REUSED,
+      cookies: [cookie("c_user", "100003")],
+    });
+    assert.equal(await closeSession(reused), "reused");
+
+    const invalid = await openSession(email);
+    Object.assign(invalid, {
+      status: SESSION_STATUS.INVALID,
+      cookies: [cookie("datr", "login-page")],
+    });
+    assert.equal(await closeSession(invalid), "invalid");
+    assert.deepEqual(
+      (await readCookies(email)).map((c) => c.name),
+      ["c_user"]
+    );
+  });
+});
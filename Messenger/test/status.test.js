@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { deliveryStatus } from '../src/status.js';
+
+describe("deliveryStatus", () => {
+  test("reads a Seen receipt with its reader and time", () => {
+    const indicators = [
+      { label: "Delivered", time: null },
+      { label: "Seen by Terri Lopez", time: "2026-03-02T12:10:00.000Z" },
+    ];
+
+    assert.deepEqual(deliveryStatus(indicators), {
+      status: "Seen",
+      seenBy: "Terri Lopez",
+      seenAt: "2026-03-02T12:10:00.000Z",
+      label: "Seen by Terri Lopez",
+    });
+  });
+
+  test("takes the seen time from the label when it is a full date", () => {
+    const seen = deliveryStatus([
+      { label: "Seen by Sam at 2 March 2026 14:05 UTC", time: null },
+    ]);
+    assert.equal(seen.seenBy, "Sam");
+    assert.equal(seen.seenAt, "2026-03-02T14:05:00.000Z");
+
+    // Times of day alone cannot be placed; the label keeps them
+    const today = deliveryStatus([{ label: "Seen at 3:15 PM", time: null }]);
+    assert.equal(today.seenBy, null);
+    assert.equal(today.seenAt, null);
+    assert.equal(today.label, "Seen at 3:15 PM");
+  });
+
+  test("reports the strongest indicator shown", () => {
+    assert.equal(
+      deliveryStatus([
+        { label: "Sent", time: null },
+        { label: "Delivered", time: null },
+      ]).status,
+      "Delivered"
+    );
+    assert.equal(
+      deliveryStatus([{ label: "Failed to send", time: null }]).status,
+      "Failed"
+    );
+  });
+
+  test("counts our message without an indicator as Sent", () => {
+    assert.equal(
+      deliveryStatus([{ label: "Like", time: null }]).status,
+      "Sent"
+    );
+    assert.deepEqual(deliveryStatus(null), {
+      status: null,
+      seenBy: null,
+      seenAt: null,
+      label: null,
+    });
+  });
+});
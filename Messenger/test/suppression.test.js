@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import {
+  isSuppressed,
+  loadSuppressionList,
+  SUPPRESSION_STORE,
+  suppressionKey,
+  updateSuppressionList,
+} from '../src/suppression.js';
+
+const storageDir = await mkdtemp(path.join(tmpdir(), "suppression-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+describe("suppression list", () => {
+  after(async () => {
+    await rm(storageDir, { recursive: true, force: true });
+  });
+
+  test("persists added entries in the named store", async () => {
+    await updateSuppressionList({
+      add: ["https://www.facebook.com/terri.lopez.9659283/", "100004567890"],
+    });
+
+    const store = await Actor.openKeyValueStore(SUPPRESSION_STORE);
+    const entries = await store.getValue("SUPPRESSION_LIST");
+    assert.deepEqual(
+      entries.map((entry) => entry.value),
+      ["https://www.facebook.com/terri.lopez.9659283/", "100004567890"]
+    );
+    assert.ok(entries.every((entry) => entry.addedAt));
+  });
+
+  test("matches the canonical URL of every form of a listed profile", async () => {
+    const list = await updateSuppressionList({
+      add: [
+        "https://www.facebook.com/people/Dana-Reyes/100009876543/",
+        "https://m.facebook.com/Sam.Ortiz/about?ref=share",
+        "jo.smith",
+        "https://www.messenger.com/t/5551234",
+      ],
+    });
+    const suppressed = (url, extra = {}) =>
+      isSuppressed(list, { id: "p", url, ...extra });
+
+    // The forms validateProfiles produces
+    assert.equal(
+      suppressed("https://www.facebook.com/profile.php?id=100004567890"),
+      true
+    );
+    assert.equal(
+      suppressed("https://www.facebook.com/profile.php?id=100009876543"),
+      true
+    );
+    assert.equal(suppressed("https://www.facebook.com/sam.ortiz"), true);
+    assert.equal(suppressed("https://www.facebook.com/jo.smith"), true);
+    assert.equal(
+      suppressed("https://www.facebook.com/terri.lopez.9659283"),
+      true
+    );
+    assert.equal(
+      suppressed("https://www.facebook.com/messages/t/5551234", {
+        threadUrl: "https://www.facebook.com/messages/t/5551234",
+      }),
+      true
+    );
+
+    // Profiles that have not been canonicalized yet
+    assert.equal(
+      suppressed("https://m.facebook.com/Terri.Lopez.9659283?ref=share"),
+      true
+    );
+    assert.equal(
+      suppressed("https://facebook.com/people/Someone/100004567890"),
+      true
+    );
+    assert.equal(suppressed("https://www.facebook.com/someone"), false);
+  });
+
+  test("never matches the profile entry's id label", async () => {
+    const list = await loadSuppressionList();
+
+    assert.equal(
+      isSuppressed(list, {
+        id: "100004567890",
+        url: "https://www.facebook.com/someone.else",
+      }),
+      false
+    );
+    assert.equal(isSuppressed(list, { id: "jo.smith" }), false);
+  });
+
+  test("keeps profile.php IDs apart", async () => {
+    const list = await updateSuppressionList({
+      add: ["https://www.facebook.com/profile.php?id=1"],
+    });
+
+    assert.equal(
+      isSuppressed(list, { url: "https://www.facebook.com/profile.php?id=1" }),
+      true
+    );
+    assert.equal(
+      isSuppressed(list, { url: "https://www.facebook.com/profile.php?id=2" }),
+      false
+    );
+  });
+
+  test("rejects entries that name no profile", async () => {
+    await assert.rejects(
+      updateSuppressionList({ add: ["profile-007", "jo.smith"] }),
+      /must be profile URLs.*"profile-007"/
+    );
+    assert.equal(suppressionKey("profile-007"), null);
+  });
+
+  test("removes entries given in any URL form", async () => {
+    const list = await updateSuppressionList({
+      remove: ["https://facebook.com/terri.lopez.9659283", "100004567890"],
+    });
+
+    assert.equal(
+      isSuppressed(list, {
+        url: "https://www.facebook.com/terri.lopez.9659283",
+      }),
+      false
+    );
+    assert.equal(
+      isSuppressed(list, {
+        url: "https://www.facebook.com/profile.php?id=100004567890",
+      }),
+      false
+    );
+  });
+});
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { renderTemplate } from '../src/template.js';
+
+describe("renderTemplate", () => {
+  test("fills placeholders from the profile fields", () => {
+    const profile = { id: "p1", firstName: "Terri", company: "Acme" };
+
+    assert.deepEqual(
+      renderTemplate("Hi {{firstName}}, how is {{ company }}?", profile),
+      { text: "Hi Terri, how is Acme?", missing: [] }
+    );
+  });
+
+  test("renders numbers and leaves text without placeholders untouched", () => {
+    assert.equal(
+      renderTemplate("Order {{count}}", { count: 0 }).text,
+      "Order 0"
+    );
+    assert.equal(renderTemplate("Hello there", {}).text, "Hello there");
+  });
+
+  test("reports missing, null and blank variables once each", () => {
+    const { missing } = renderTemplate(
+      "{{firstName}} {{lastName}} {{company}} {{firstName}}",
+      { lastName: null, company: "  " }
+    );
+
+    assert.deepEqual(missing, ["firstName", "lastName", "company"]);
+  });
+
+  test("does not render inherited properties", () => {
+    const { text, missing } = renderTemplate(
+      "Hi {{constructor}} {{toString}}",
+      { id: "a" }
+    );
+
+    assert.equal(text, "Hi {{constructor}} {{toString}}");
+    assert.deepEqual(missing, ["constructor", "toString"]);
+  });
+});